@@ -4,174 +4,359 @@
 // @version      1.0
 // @description  负责根据return_id提取地址和识别仓库
 // @author       You
+// @require      regions.js
 // @require      utils.js
+// @require      addressParser.js
+// @require      warehouseRules.js
+// @require      authManager.js
+// @require      shopContext.js
+// @require      orderCrawler.js
 // ==/UserScript==
 
 /**
  * 地址提取模块
  * 功能：
- * 1. 根据return_id打开订单页面
- * 2. 提取退货地址信息
- * 3. 识别仓库代码（BI SMR/BI SBY/BI JKT）
+ * 1. 根据return_id调用详情接口（或打开订单页面作为备用）
+ * 2. 提取退货地址信息，并解析为结构化字段（印尼站点）
+ * 3. 按仓库规则识别仓库代码（如 BI SMR/BI SBY/BI JKT）
  * 4. 缓存提取结果
+ * 5. 对账时只查询仓库（单独保存，不进入提取结果和导出）
  */
 const AddressExtractor = {
     // 配置
     config: {
+        mode: 'api',          // 提取方式: api（详情接口）| popup（打开详情页）
+        fallbackToPopup: true, // 接口失败时是否回退到弹窗方式
+        detailApi: '/api/v4/seller_center/return/return_detail/get_return_detail', // 相对路径，域名按当前站点拼接
         maxConcurrent: 3,     // 最大并发数
         timeout: 30000,       // 超时时间
         retryCount: 2         // 重试次数
     },
 
-    // 仓库识别规则
-    warehouseRules: {
-        '50121': 'BI SMR',  // Semarang
-        '61254': 'BI SBY',  // Surabaya
-        '14460': 'BI JKT'   // Jakarta
+    // 按店铺隔离的缓存: 店铺ID -> 缓存
+    shopCaches: new Map(),
+
+    /**
+     * 当前店铺的缓存
+     * @returns {Object}
+     */
+    get cache() {
+        return ShopContext.getShopCache(this.shopCaches, () => ({
+            results: new Map(),   // 提取结果映射
+            processing: new Set(), // 正在处理的ID
+            warehouses: new Map() // 对账时查询的仓库: return_sn -> 仓库代码（不参与导出）
+        }));
     },
 
-    // 缓存
-    cache: {
-        results: new Map(),   // 提取结果映射
-        processing: new Set() // 正在处理的ID
+    /**
+     * 解析地址（目前仅支持印尼站点，其他站点返回null）
+     * @param {string} address - 地址字符串
+     * @returns {Object|null} AddressParser.parse 的结果
+     */
+    parseAddress(address) {
+        if (!address || ShopeeRegions.getCurrent().code !== 'ID') return null;
+        return AddressParser.parse(address);
     },
 
     /**
      * 识别仓库代码
      * @param {string} address - 地址字符串
+     * @param {Object} parsed - 可选，已解析的地址（未提供时自动解析）
      * @returns {string} 仓库代码
      */
-    identifyWarehouse(address) {
+    identifyWarehouse(address, parsed = undefined) {
         if (!address) return '未知';
 
-        for (const [postalCode, warehouseCode] of Object.entries(this.warehouseRules)) {
-            if (address.includes(postalCode)) {
-                return warehouseCode;
+        const parsedAddress = parsed === undefined ? this.parseAddress(address) : parsed;
+        const rule = WarehouseRules.identify(address, parsedAddress);
+        return rule ? rule.warehouse : '其他';
+    },
+
+    /**
+     * 构建提取结果（接口方式与弹窗方式共用同一结构）
+     * @param {string} returnSn - Return SN
+     * @param {string} returnId - Return ID
+     * @param {boolean} success - 是否成功
+     * @param {string} address - 地址或失败原因
+     * @param {Object} extra - {recipientName, recipientPhone}
+     * @returns {Object}
+     */
+    buildResult(returnSn, returnId, success, address, extra = {}) {
+        const parsed = success ? this.parseAddress(address) : null;
+
+        return {
+            success: success,
+            return_sn: returnSn,
+            return_id: returnId,
+            address: address,
+            recipient_name: extra.recipientName || parsed?.recipient || null,
+            recipient_phone: extra.recipientPhone || parsed?.phone || null,
+            street: parsed?.street || null,
+            kelurahan: parsed?.kelurahan || null,
+            kecamatan: parsed?.kecamatan || null,
+            kota: parsed?.kota || null,
+            provinsi: parsed?.provinsi || null,
+            kode_pos: parsed?.kodePos || null,
+            address_confidence: parsed ? parsed.confidence : null,
+            warehouse: success ? this.identifyWarehouse(address, parsed) : '未知',
+            timestamp: new Date().toLocaleString()
+        };
+    },
+
+    /**
+     * 提取单个订单的地址
+     * 根据 config.mode 选择接口方式或弹窗方式
+     * @param {string} returnSn - Return SN
+     * @param {string} returnId - Return ID
+     * @param {AbortSignal} signal - 可选，取消信号
+     * @returns {Promise<Object|null>} 提取结果，已取消时为 null
+     */
+    async extractAddress(returnSn, returnId, signal = null) {
+        if (signal?.aborted) return null;
+
+        if (this.config.mode !== 'api') {
+            return this.extractAddressViaPopup(returnSn, returnId, signal);
+        }
+
+        try {
+            return await this.extractAddressViaApi(returnSn, returnId, signal);
+        } catch (error) {
+            if (error.aborted) return null;
+
+            // 登录失效时详情页同样无法打开，不回退到弹窗
+            if (!this.config.fallbackToPopup || error.authExpired || AuthManager.state.expired) {
+                ShopeeUtils.log(`接口提取失败: ${returnSn} (${error.message})`, 'error');
+                const result = this.buildResult(returnSn, returnId, false, `接口提取失败: ${error.message}`);
+                this.cache.results.set(returnSn, result);
+                return result;
             }
+
+            ShopeeUtils.addLogToUI(`接口提取失败，改用弹窗方式: ${returnSn} (${error.message})`, 'warning');
+            return this.extractAddressViaPopup(returnSn, returnId, signal);
+        }
+    },
+
+    /**
+     * 请求退货详情接口
+     * @param {string} returnId - Return ID
+     * @param {AbortSignal} signal - 可选，取消信号
+     * @returns {Promise<Object>}
+     */
+    async fetchReturnDetail(returnId, signal = null) {
+        const { data } = await ShopeeUtils.request({
+            url: ShopeeRegions.buildUrl(this.config.detailApi),
+            params: { ...AuthManager.getQueryParams(), ...ShopContext.getRequestParams(), return_id: returnId },
+            headers: {
+                'Content-Type': 'application/json',
+                ...OrderCrawler.authHeaders
+            },
+            timeout: this.config.timeout,
+            signal
+        });
+
+        if (data.error && data.error !== 0) {
+            throw AuthManager.handleLoginError(data.error, data.error_msg) || new Error(data.error_msg || 'API返回错误');
         }
 
-        return '其他';
+        return data;
     },
 
     /**
-     * 提取单个订单的地址
+     * 从详情接口响应中解析地址
+     * @param {Object} response - 接口响应
+     * @returns {Object|null} {address, recipientName, recipientPhone}
+     */
+    parseAddressFromDetail(response) {
+        const detail = response?.data;
+        if (!detail) return null;
+
+        // 不同版本的接口字段位置不同，按优先级查找
+        const addressInfo = detail.return_address
+            || detail.seller_return_address
+            || detail.reverse_logistics_info?.return_address
+            || detail.pickup_address
+            || detail.address;
+
+        if (!addressInfo) return null;
+
+        if (typeof addressInfo === 'string') {
+            return { address: addressInfo.trim(), recipientName: null, recipientPhone: null };
+        }
+
+        const fullAddress = addressInfo.full_address
+            || [
+                addressInfo.address,
+                addressInfo.district,
+                addressInfo.city,
+                addressInfo.state,
+                addressInfo.zipcode
+            ].filter(Boolean).join(', ');
+
+        if (!fullAddress) return null;
+
+        return {
+            address: fullAddress.replace(/\s+/g, ' ').trim(),
+            recipientName: addressInfo.name || null,
+            recipientPhone: addressInfo.phone || null
+        };
+    },
+
+    /**
+     * 通过详情接口提取地址
+     * @param {string} returnSn - Return SN
+     * @param {string} returnId - Return ID
+     * @param {AbortSignal} signal - 可选，取消信号
+     * @returns {Promise<Object>} 提取结果，请求或解析失败时抛出错误
+     */
+    async extractAddressViaApi(returnSn, returnId, signal = null) {
+        ShopeeUtils.log(`开始提取地址(接口): ${returnSn} (ID: ${returnId})`, 'info');
+
+        this.cache.processing.add(returnId);
+
+        try {
+            const response = await this.fetchReturnDetail(returnId, signal);
+            const parsed = this.parseAddressFromDetail(response);
+
+            if (!parsed) {
+                throw new Error('响应中未找到地址');
+            }
+
+            const result = this.buildResult(returnSn, returnId, true, parsed.address, parsed);
+            this.cache.results.set(returnSn, result);
+            ShopeeUtils.log(`提取成功: ${returnSn} -> ${result.warehouse}`, 'success');
+
+            return result;
+        } finally {
+            this.cache.processing.delete(returnId);
+        }
+    },
+
+    /**
+     * 通过弹窗提取单个订单的地址
+     * 详情页由 detailPageScraper.js 抓取后通过 BroadcastChannel 回传
      * @param {string} returnSn - Return SN
      * @param {string} returnId - Return ID
-     * @returns {Promise<Object>} 提取结果
+     * @param {AbortSignal} signal - 可选，取消信号，触发时关闭窗口并返回 null
+     * @returns {Promise<Object|null>} 提取结果，已取消时为 null
      */
-    async extractAddress(returnSn, returnId) {
+    async extractAddressViaPopup(returnSn, returnId, signal = null) {
         return new Promise((resolve) => {
-            const url = `https://seller.shopee.co.id/portal/sale/return/${returnId}`;
+            if (signal?.aborted) {
+                resolve(null);
+                return;
+            }
+
+            const { name: channelName, messageType, urlFlag } = ShopeeUtils.addressChannel;
+            const url = ShopeeRegions.buildUrl(`/portal/sale/return/${returnId}?${urlFlag}=1`);
             const windowName = `addr_${returnSn}_${Date.now()}`;
             
             ShopeeUtils.log(`开始提取地址: ${returnSn} (ID: ${returnId})`, 'info');
             
-            // 打开新窗口
-            const newWindow = window.open(url, windowName, 'width=800,height=600,noopener,noreferrer');
+            // 打开新窗口（不使用 noopener，否则拿不到窗口句柄，无法判断是否被阻止和关闭窗口）
+            const newWindow = ShopeeUtils.adapters.openWindow(url, windowName, 'width=800,height=600');
             
             if (!newWindow) {
                 ShopeeUtils.addLogToUI(`窗口被阻止: ${returnSn}`, 'error');
-                resolve({
-                    success: false,
-                    return_sn: returnSn,
-                    return_id: returnId,
-                    address: '窗口被阻止',
-                    warehouse: '未知',
-                    timestamp: new Date().toLocaleString()
-                });
+                resolve(this.buildResult(returnSn, returnId, false, '窗口被阻止'));
                 return;
             }
 
             // 标记为正在处理
             this.cache.processing.add(returnId);
 
+            const channel = ShopeeUtils.adapters.createChannel(channelName);
+
+            const closeWindow = () => {
+                try {
+                    if (!newWindow.closed) {
+                        newWindow.close();
+                    }
+                } catch (e) {
+                    // 忽略关闭错误
+                }
+            };
+
             // 设置超时
             const timeoutId = setTimeout(() => {
                 if (this.cache.processing.has(returnId)) {
                     ShopeeUtils.addLogToUI(`提取超时: ${returnSn}`, 'error');
+                    signal?.removeEventListener('abort', onAbort);
                     this.cache.processing.delete(returnId);
-                    
-                    try {
-                        if (!newWindow.closed) {
-                            newWindow.close();
-                        }
-                    } catch (e) {
-                        // 忽略关闭错误
-                    }
+                    channel.close();
+                    closeWindow();
 
-                    resolve({
-                        success: false,
-                        return_sn: returnSn,
-                        return_id: returnId,
-                        address: '提取超时',
-                        warehouse: '未知',
-                        timestamp: new Date().toLocaleString()
-                    });
+                    resolve(this.buildResult(returnSn, returnId, false, '提取超时'));
                 }
             }, this.config.timeout);
 
-            // 监听消息
-            const messageHandler = (event) => {
-                // 验证消息来源
-                if (event.data && event.data.type === 'SHOPEE_ADDRESS_EXTRACTED') {
-                    const data = event.data;
-                    
-                    if (data.orderId === returnId) {
-                        clearTimeout(timeoutId);
-                        this.cache.processing.delete(returnId);
-                        window.removeEventListener('message', messageHandler);
-
-                        const warehouse = this.identifyWarehouse(data.address);
-                        
-                        const result = {
-                            success: data.success,
-                            return_sn: returnSn,
-                            return_id: returnId,
-                            address: data.address || '未找到地址',
-                            warehouse: warehouse,
-                            timestamp: new Date().toLocaleString()
-                        };
-
-                        // 缓存结果
-                        this.cache.results.set(returnSn, result);
-
-                        if (data.success) {
-                            ShopeeUtils.log(`提取成功: ${returnSn} -> ${warehouse}`, 'success');
-                        } else {
-                            ShopeeUtils.log(`提取失败: ${returnSn}`, 'error');
-                        }
+            // 任务取消时关闭窗口，不记录结果
+            const onAbort = () => {
+                clearTimeout(timeoutId);
+                this.cache.processing.delete(returnId);
+                channel.close();
+                closeWindow();
+                resolve(null);
+            };
+            signal?.addEventListener('abort', onAbort);
+
+            // 监听详情页回传的消息
+            channel.onmessage = (event) => {
+                const data = event.data;
+                if (!data || data.type !== messageType) return;
+
+                // 通过 orderId 关联请求
+                if (String(data.orderId) !== String(returnId)) return;
+
+                clearTimeout(timeoutId);
+                signal?.removeEventListener('abort', onAbort);
+                this.cache.processing.delete(returnId);
+                channel.close();
+
+                const result = this.buildResult(
+                    returnSn,
+                    returnId,
+                    Boolean(data.success && data.address),
+                    data.address || data.error || '未找到地址',
+                    data
+                );
+
+                // 缓存结果
+                this.cache.results.set(returnSn, result);
+
+                if (result.success) {
+                    ShopeeUtils.log(`提取成功: ${returnSn} -> ${result.warehouse}`, 'success');
+                } else {
+                    ShopeeUtils.log(`提取失败: ${returnSn} (${data.error || '未知原因'})`, 'error');
+                }
 
-                        // 关闭窗口
-                        try {
-                            if (!newWindow.closed) {
-                                newWindow.close();
-                            }
-                        } catch (e) {
-                            // 忽略关闭错误
-                        }
+                // 关闭窗口
+                closeWindow();
 
-                        resolve(result);
-                    }
-                }
+                resolve(result);
             };
-
-            window.addEventListener('message', messageHandler);
         });
     },
 
     /**
      * 批量提取地址
-     * @param {Array} matchedResults - 匹配的结果数组 [{return_sn, return_id}, ...]
+     * @param {Array} matchedResults - 匹配的结果数组 [{return_sn, return_id, ...其他字段}, ...]
      * @param {Function} progressCallback - 进度回调函数
+     * @param {Object} control - 可选，JobController.start 返回的任务：暂停时不再开始新的提取，
+     *                           取消时关闭已打开的窗口，已完成的结果保留在缓存中
      * @returns {Promise<Array>} 提取结果数组
      */
-    async extractAddresses(matchedResults, progressCallback) {
+    async extractAddresses(matchedResults, progressCallback, control = null) {
         if (!matchedResults || matchedResults.length === 0) {
             ShopeeUtils.showError('没有要处理的订单');
             return [];
         }
 
         ShopeeUtils.addLogToUI(`开始批量提取地址，共 ${matchedResults.length} 个订单`, 'info');
+
+        // 接口方式需要认证信息
+        if (this.config.mode === 'api' && Object.keys(OrderCrawler.authHeaders).length === 0) {
+            await OrderCrawler.getAuthHeaders();
+        }
         
         const results = [];
         const queue = [...matchedResults];
@@ -179,32 +364,52 @@ const AddressExtractor = {
 
         const processNext = async () => {
             while (queue.length > 0 && processing.length < this.config.maxConcurrent) {
+                if (control) {
+                    try {
+                        await control.waitUntilRunning();
+                    } catch (e) {
+                        return; // 已取消
+                    }
+                    // 暂停期间其他调用可能已补满并发
+                    if (queue.length === 0 || processing.length >= this.config.maxConcurrent) break;
+                }
+
                 const item = queue.shift();
                 
-                const promise = this.extractAddress(item.return_sn, item.return_id)
-                    .then(result => {
-                        results.push(result);
-                        
-                        // 更新进度
-                        if (progressCallback) {
-                            progressCallback({
-                                total: matchedResults.length,
-                                completed: results.length,
-                                current: result
-                            });
-                        }
-
-                        ShopeeUtils.addLogToUI(
-                            `[${results.length}/${matchedResults.length}] ${result.return_sn}: ${result.warehouse}`,
-                            result.success ? 'success' : 'error'
-                        );
-
+                const promise = this.extractAddress(item.return_sn, item.return_id, control?.signal)
+                    .then(extracted => {
                         // 从处理队列中移除
                         const index = processing.indexOf(promise);
                         if (index > -1) {
                             processing.splice(index, 1);
                         }
 
+                        // 已取消的不记录结果
+                        if (extracted) {
+                            // 附加匹配记录中的其他字段（原因、金额、状态等），供导出使用
+                            const result = { ...extracted };
+                            Object.entries(item).forEach(([key, value]) => {
+                                if (!(key in result)) result[key] = value;
+                            });
+                            this.cache.results.set(result.return_sn, result);
+
+                            results.push(result);
+
+                            // 更新进度
+                            if (progressCallback) {
+                                progressCallback({
+                                    total: matchedResults.length,
+                                    completed: results.length,
+                                    current: result
+                                });
+                            }
+
+                            ShopeeUtils.addLogToUI(
+                                `[${results.length}/${matchedResults.length}] ${result.return_sn}: ${result.warehouse}`,
+                                result.success ? 'success' : 'error'
+                            );
+                        }
+
                         // 继续处理下一个
                         return processNext();
                     });
@@ -219,6 +424,12 @@ const AddressExtractor = {
 
         await processNext();
 
+        if (control?.isCancelled()) {
+            this.cache.processing.clear();
+            ShopeeUtils.addLogToUI(`地址提取已取消：已完成 ${results.length}/${matchedResults.length}，结果已保留`, 'warning');
+            return results;
+        }
+
         ShopeeUtils.addLogToUI(`地址提取完成！成功: ${results.filter(r => r.success).length}/${results.length}`, 'success');
         
         return results;
@@ -233,6 +444,90 @@ const AddressExtractor = {
         return this.cache.results.get(returnSn) || null;
     },
 
+    /**
+     * 获取SN所属的仓库：优先使用已提取的结果，其次是对账时查询的仓库，最后根据记录自带的地址识别
+     * @param {string} returnSn - Return SN
+     * @param {Object} record - 可选，退货记录（含 address 字段时用于识别）
+     * @returns {string|null} 仓库代码，无法确定时为 null
+     */
+    getWarehouse(returnSn, record = null) {
+        const cached = this.getCachedResult(returnSn);
+        if (cached?.success) {
+            return cached.warehouse;
+        }
+        if (this.cache.warehouses.has(returnSn)) {
+            return this.cache.warehouses.get(returnSn);
+        }
+        return record?.address ? this.identifyWarehouse(record.address) : null;
+    },
+
+    /**
+     * 查询记录所属的仓库（对账用）
+     * 只请求详情接口、不打开弹窗，结果保存在单独的仓库表中，不写入提取结果，因此不会出现在导出中
+     * 已知仓库的记录会跳过；登录失效或取消时停止
+     * @param {Array} records - 退货记录 [{return_sn, return_id}, ...]
+     * @param {Function} progressCallback - 可选，进度回调 ({total, completed})
+     * @param {Object} control - 可选，JobController.start 返回的任务
+     * @returns {Promise<number>} 识别出仓库的记录数
+     */
+    async lookupWarehouses(records, progressCallback = null, control = null) {
+        const queue = (records || []).filter(record => !this.getWarehouse(record.return_sn, record));
+        const total = queue.length;
+        let completed = 0;
+        let resolved = 0;
+        let stopped = false;
+
+        if (total === 0) return 0;
+
+        if (Object.keys(OrderCrawler.authHeaders).length === 0) {
+            await OrderCrawler.getAuthHeaders();
+        }
+
+        const worker = async () => {
+            while (queue.length > 0 && !stopped) {
+                if (control) {
+                    try {
+                        await control.waitUntilRunning();
+                    } catch (e) {
+                        return; // 已取消
+                    }
+                }
+
+                const record = queue.shift();
+                if (!record) return;
+
+                try {
+                    const parsed = this.parseAddressFromDetail(await this.fetchReturnDetail(record.return_id, control?.signal));
+                    if (parsed) {
+                        this.cache.warehouses.set(record.return_sn, this.identifyWarehouse(parsed.address));
+                        resolved++;
+                    }
+                } catch (error) {
+                    if (error.aborted) return;
+                    if (error.authExpired) {
+                        stopped = true;
+                        ShopeeUtils.addLogToUI(`登录已失效，停止查询仓库: ${error.message}`, 'error');
+                        return;
+                    }
+                    ShopeeUtils.log(`查询仓库失败: ${record.return_sn} (${error.message})`, 'warning');
+                }
+
+                completed++;
+                if (progressCallback) {
+                    progressCallback({ total, completed });
+                }
+            }
+        };
+
+        const workers = [];
+        for (let i = 0; i < Math.min(this.config.maxConcurrent, total); i++) {
+            workers.push(worker());
+        }
+        await Promise.all(workers);
+
+        return resolved;
+    },
+
     /**
      * 获取所有缓存的结果
      * @returns {Array}
@@ -247,6 +542,7 @@ const AddressExtractor = {
     clearCache() {
         this.cache.results.clear();
         this.cache.processing.clear();
+        this.cache.warehouses.clear();
         ShopeeUtils.addLogToUI('地址提取缓存已清空', 'info');
     },
 
@@ -0,0 +1,229 @@
+// ==UserScript==
+// @name         Shopee工具-地址解析模块
+// @namespace    http://tampermonkey.net/
+// @version      1.0
+// @description  将印尼地址字符串解析为结构化字段
+// @author       You
+// ==/UserScript==
+
+/**
+ * 地址解析模块（印尼）
+ * 功能：
+ * 1. 将 Shopee 印尼地址拆分为 收件人/电话/街道/kelurahan/kecamatan/kota/provinsi/kode pos
+ * 2. 识别常见缩写（Kab. Kec. Kel. Ds. Jl. Gg. 等）
+ * 3. 返回解析置信度（0~1）
+ *
+ * 支持的常见格式：
+ *   Budi, (+62) 812-3456-7890, Jl. Merdeka No. 10, Kel. Sukamaju, Kec. Cilodong, Kota Depok, Jawa Barat, ID 16415
+ *   Jl. Merdeka No. 10, CILODONG, KOTA DEPOK, JAWA BARAT, ID, 16415
+ */
+const AddressParser = {
+    // 各字段对置信度的权重（合计为1）
+    weights: {
+        kodePos: 0.25,
+        kota: 0.2,
+        provinsi: 0.15,
+        kecamatan: 0.15,
+        street: 0.1,
+        kelurahan: 0.05,
+        phone: 0.05,
+        recipient: 0.05
+    },
+
+    // 省份名称及常见别名（别名已去掉标点并大写）
+    provinces: {
+        'Aceh': ['ACEH', 'NANGGROE ACEH DARUSSALAM', 'NAD'],
+        'Sumatera Utara': ['SUMATERA UTARA', 'SUMATRA UTARA', 'SUMUT'],
+        'Sumatera Barat': ['SUMATERA BARAT', 'SUMATRA BARAT', 'SUMBAR'],
+        'Riau': ['RIAU'],
+        'Kepulauan Riau': ['KEPULAUAN RIAU', 'KEPRI'],
+        'Jambi': ['JAMBI'],
+        'Sumatera Selatan': ['SUMATERA SELATAN', 'SUMATRA SELATAN', 'SUMSEL'],
+        'Kepulauan Bangka Belitung': ['KEPULAUAN BANGKA BELITUNG', 'BANGKA BELITUNG', 'BABEL'],
+        'Bengkulu': ['BENGKULU'],
+        'Lampung': ['LAMPUNG'],
+        'DKI Jakarta': ['DKI JAKARTA', 'JAKARTA RAYA', 'DAERAH KHUSUS IBUKOTA JAKARTA'],
+        'Jawa Barat': ['JAWA BARAT', 'JABAR'],
+        'Banten': ['BANTEN'],
+        'Jawa Tengah': ['JAWA TENGAH', 'JATENG'],
+        'DI Yogyakarta': ['DI YOGYAKARTA', 'DAERAH ISTIMEWA YOGYAKARTA', 'DIY'],
+        'Jawa Timur': ['JAWA TIMUR', 'JATIM'],
+        'Bali': ['BALI'],
+        'Nusa Tenggara Barat': ['NUSA TENGGARA BARAT', 'NTB'],
+        'Nusa Tenggara Timur': ['NUSA TENGGARA TIMUR', 'NTT'],
+        'Kalimantan Barat': ['KALIMANTAN BARAT', 'KALBAR'],
+        'Kalimantan Tengah': ['KALIMANTAN TENGAH', 'KALTENG'],
+        'Kalimantan Selatan': ['KALIMANTAN SELATAN', 'KALSEL'],
+        'Kalimantan Timur': ['KALIMANTAN TIMUR', 'KALTIM'],
+        'Kalimantan Utara': ['KALIMANTAN UTARA', 'KALTARA'],
+        'Sulawesi Utara': ['SULAWESI UTARA', 'SULUT'],
+        'Gorontalo': ['GORONTALO'],
+        'Sulawesi Tengah': ['SULAWESI TENGAH', 'SULTENG'],
+        'Sulawesi Barat': ['SULAWESI BARAT', 'SULBAR'],
+        'Sulawesi Selatan': ['SULAWESI SELATAN', 'SULSEL'],
+        'Sulawesi Tenggara': ['SULAWESI TENGGARA', 'SULTRA'],
+        'Maluku': ['MALUKU'],
+        'Maluku Utara': ['MALUKU UTARA', 'MALUT'],
+        'Papua': ['PAPUA'],
+        'Papua Barat': ['PAPUA BARAT'],
+        'Papua Barat Daya': ['PAPUA BARAT DAYA'],
+        'Papua Selatan': ['PAPUA SELATAN'],
+        'Papua Tengah': ['PAPUA TENGAH'],
+        'Papua Pegunungan': ['PAPUA PEGUNUNGAN']
+    },
+
+    // 行政区划前缀（匹配时忽略大小写）
+    patterns: {
+        kota: /^(?:KOTA(?:MADYA)?|KOTA ADM(?:INISTRASI)?\.?)\s+/i,
+        kabupaten: /^(?:KABUPATEN|KAB\.?)\s+/i,
+        kecamatan: /^(?:KECAMATAN|KEC\.?)\s+/i,
+        kelurahan: /^(?:KELURAHAN|KEL\.?|DESA|DS\.?)\s+/i,
+        street: /^(?:JALAN|JLN?\.?|GANG|GG\.?|KOMPLEK|KOMP\.?|PERUM(?:AHAN)?\.?|BLOK|RT\.?|RW\.?|NO\.?)(?:\s|\d|$)/i,
+        phone: /(?:(?:TELP|TEL|TELEPON|HP|NO\.? HP|WA)\.?:?\s*)?(?:\(\+?62\)\s*|\+?62[\s-]?|0)8[\d\s-]{7,14}\d/i,
+        postal: /(?<!\d)\d{5}(?!\d)/g,
+        country: /^(?:ID|INDONESIA)$/i
+    },
+
+    /**
+     * 将文本转为首字母大写形式
+     * @param {string} text - 文本
+     * @returns {string}
+     */
+    toTitleCase(text) {
+        return text.toLowerCase().replace(/(^|[\s/(-])(\p{L})/gu, (m, sep, ch) => sep + ch.toUpperCase());
+    },
+
+    /**
+     * 识别省份
+     * @param {string} segment - 地址片段
+     * @returns {string|null} 标准省份名称
+     */
+    matchProvince(segment) {
+        const normalized = segment.toUpperCase().replace(/\./g, '').replace(/\s+/g, ' ').trim();
+        for (const [name, aliases] of Object.entries(this.provinces)) {
+            if (aliases.includes(normalized)) return name;
+        }
+        return null;
+    },
+
+    /**
+     * 规范化电话号码为 62 开头的纯数字
+     * @param {string} phone - 电话号码
+     * @returns {string}
+     */
+    normalizePhone(phone) {
+        const digits = phone.replace(/\D/g, '');
+        return digits.startsWith('0') ? `62${digits.slice(1)}` : digits;
+    },
+
+    /**
+     * 判断片段是否像街道信息
+     * @param {string} segment - 地址片段
+     * @returns {boolean}
+     */
+    looksLikeStreet(segment) {
+        return this.patterns.street.test(segment) || /\d/.test(segment);
+    },
+
+    /**
+     * 解析地址
+     * @param {string} address - 地址字符串
+     * @returns {Object} {recipient, phone, street, kelurahan, kecamatan, kota, provinsi, kodePos, confidence}
+     */
+    parse(address) {
+        const result = {
+            recipient: null,
+            phone: null,
+            street: null,
+            kelurahan: null,
+            kecamatan: null,
+            kota: null,
+            provinsi: null,
+            kodePos: null,
+            confidence: 0
+        };
+
+        if (!address || typeof address !== 'string') return result;
+
+        const normalized = address.replace(/[^\S\n]+/g, ' ').trim();
+        let text = normalized;
+
+        // 1. 电话（先取出，避免其中的数字被当作邮编）
+        const phoneMatch = text.match(this.patterns.phone);
+        if (phoneMatch) {
+            result.phone = this.normalizePhone(phoneMatch[0]);
+            text = text.replace(phoneMatch[0], ' ');
+        }
+
+        // 2. 邮编（取最后一个5位数字）
+        const postalMatches = text.match(this.patterns.postal);
+        if (postalMatches) {
+            result.kodePos = postalMatches[postalMatches.length - 1];
+            const index = text.lastIndexOf(result.kodePos);
+            text = text.slice(0, index) + text.slice(index + result.kodePos.length);
+        }
+
+        // 3. 按逗号/换行拆分
+        const segments = text.split(/[,\n;]+/)
+            .map(segment => segment.replace(/\s+/g, ' ').replace(/^[\s-]+|[\s-]+$/g, ''))
+            .filter(segment => segment.length > 0 && !this.patterns.country.test(segment));
+
+        // 4. 识别带前缀的行政区划和省份
+        const unlabeled = [];
+        segments.forEach(segment => {
+            const cleaned = segment.replace(/\s+(?:ID|INDONESIA)$/i, '');
+
+            if (!result.provinsi && this.matchProvince(cleaned)) {
+                result.provinsi = this.matchProvince(cleaned);
+            } else if (!result.kota && this.patterns.kabupaten.test(cleaned)) {
+                result.kota = `Kabupaten ${this.toTitleCase(cleaned.replace(this.patterns.kabupaten, ''))}`;
+            } else if (!result.kota && this.patterns.kota.test(cleaned)) {
+                result.kota = `Kota ${this.toTitleCase(cleaned.replace(this.patterns.kota, ''))}`;
+            } else if (!result.kecamatan && this.patterns.kecamatan.test(cleaned)) {
+                result.kecamatan = this.toTitleCase(cleaned.replace(this.patterns.kecamatan, ''));
+            } else if (!result.kelurahan && this.patterns.kelurahan.test(cleaned)) {
+                result.kelurahan = this.toTitleCase(cleaned.replace(this.patterns.kelurahan, ''));
+            } else {
+                unlabeled.push(cleaned);
+            }
+        });
+
+        // 5. 收件人：紧挨在电话前面的唯一纯文字片段（"姓名, 电话, 地址..." 格式）
+        const beforePhone = phoneMatch
+            ? normalized.slice(0, normalized.indexOf(phoneMatch[0])).split(/[,\n;]+/).filter(part => part.trim())
+            : [];
+        if (beforePhone.length === 1 && unlabeled.length > 1 && !/\d/.test(unlabeled[0]) &&
+            !this.patterns.street.test(unlabeled[0]) && unlabeled[0].split(' ').length <= 5) {
+            result.recipient = unlabeled.shift();
+        }
+
+        // 6. 无前缀的行政区划：Shopee 格式为 街道, (kelurahan,) kecamatan, kota, provinsi
+        //    从末尾依次补齐 kota -> kecamatan -> kelurahan，至少保留一个片段作为街道
+        const fillFromEnd = (field) => {
+            if (result[field] || unlabeled.length <= 1) return;
+            const candidate = unlabeled[unlabeled.length - 1];
+            if (this.looksLikeStreet(candidate)) return;
+            result[field] = this.toTitleCase(unlabeled.pop());
+        };
+        fillFromEnd('kota');
+        fillFromEnd('kecamatan');
+        fillFromEnd('kelurahan');
+
+        if (unlabeled.length > 0) {
+            result.street = unlabeled.join(', ');
+        }
+
+        // 7. 置信度
+        const score = Object.entries(this.weights).reduce((sum, [field, weight]) => (
+            result[field] ? sum + weight : sum
+        ), 0);
+        result.confidence = Math.round(score * 100) / 100;
+
+        return result;
+    }
+};
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AddressParser;
+}
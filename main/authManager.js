@@ -0,0 +1,498 @@
+// ==UserScript==
+// @name         Shopee工具-认证管理模块
+// @namespace    http://tampermonkey.net/
+// @version      1.0
+// @description  在页面加载前拦截 fetch / XHR，捕获卖家中心接口的认证头和查询参数，检测登录失效
+// @author       You
+// @require      regions.js
+// @require      utils.js
+// @grant        unsafeWindow
+// @grant        GM_getValue
+// @grant        GM_setValue
+// @grant        GM_deleteValue
+// @run-at       document-start
+// ==/UserScript==
+
+/**
+ * 认证管理模块
+ * 功能：
+ * 1. document-start 时拦截页面的 fetch 和 XMLHttpRequest（支持 Headers 对象、Request 对象、键值对数组）
+ * 2. 从卖家中心接口请求中捕获认证头和 SPC_CDS / 店铺ID 等查询参数，并持久化
+ * 3. 根据 HTTP 401 和登录相关的业务错误检测登录失效，在页面顶部显示重新登录横幅（不阻塞页面）
+ * 4. 尚未捕获时使用 Cookie 中的 CSRF Token 作为默认头部，并明确提示
+ */
+const AuthManager = {
+    // 配置
+    config: {
+        urlPattern: /\/api\/v\d+\/seller_center\//,  // 需要捕获的接口
+        queryParams: ['SPC_CDS', 'SPC_CDS_VER', 'cnsc_shop_id'], // 需要捕获的查询参数
+        ignoredHeaders: ['content-length', 'cookie', 'host'], // 不捕获的请求头
+        expiredStatuses: [401],                // 视为登录失效的 HTTP 状态码（403 多为无权限或风控，不视为失效）
+        loginErrorCodes: [],                   // 视为登录失效的业务错误码（登录提示文本始终识别）
+        storageKey: 'shopee_tool_auth',        // 持久化键名
+        bannerId: 'shopee-tool-relogin-banner', // 重新登录横幅的元素ID
+        maxAge: 6 * 60 * 60 * 1000             // 持久化认证信息的有效期（6小时）
+    },
+
+    // 认证状态
+    state: {
+        headers: {},       // 捕获的请求头（小写键名）
+        params: {},        // 捕获的查询参数
+        capturedAt: null,  // 捕获时间
+        source: null,      // 来源: fetch | xhr | storage
+        expired: false,    // 是否已检测到登录失效
+        prompted: false    // 本次失效是否已提示过
+    },
+
+    // 是否已安装拦截
+    installed: false,
+
+    // 状态变化监听 (state) => void
+    listeners: [],
+
+    /**
+     * 安装 fetch / XHR 拦截，并恢复持久化的认证信息
+     * 重复调用无副作用
+     * @param {Window} pageWindow - 可选，页面的 window（默认 unsafeWindow）
+     */
+    install(pageWindow = null) {
+        if (this.installed) return;
+        this.installed = true;
+
+        const target = pageWindow || ShopeeUtils.adapters.getPageWindow();
+        this.restore();
+        this.hookFetch(target);
+        this.hookXhr(target);
+
+        // 本脚本自己的请求同样用于检测登录失效
+        ShopeeUtils.addRequestHook('response', ({ request, status }) => {
+            this.checkStatus(request.url, status);
+        });
+    },
+
+    /**
+     * 拦截 fetch
+     * @param {Window} target - 页面 window
+     */
+    hookFetch(target) {
+        const originalFetch = target.fetch;
+        if (typeof originalFetch !== 'function') return;
+
+        const manager = this;
+        target.fetch = function(input, init) {
+            let url = null;
+            try {
+                url = manager.getRequestUrl(input);
+                if (manager.isAuthRequest(url)) {
+                    // Request 对象的头部在前，init 中的头部覆盖同名项（与 fetch 的行为一致）
+                    const headers = {
+                        ...manager.normalizeHeaders(input && typeof input === 'object' ? input.headers : null),
+                        ...manager.normalizeHeaders(init?.headers)
+                    };
+                    manager.capture(url, headers, 'fetch');
+                }
+            } catch (error) {
+                ShopeeUtils.log(`捕获认证信息失败: ${error.message}`, 'warning');
+            }
+
+            const result = originalFetch.apply(this, arguments);
+            if (url && manager.isAuthRequest(url)) {
+                result.then(response => manager.checkStatus(url, response.status), () => {});
+            }
+            return result;
+        };
+    },
+
+    /**
+     * 拦截 XMLHttpRequest
+     * @param {Window} target - 页面 window
+     */
+    hookXhr(target) {
+        const proto = target.XMLHttpRequest?.prototype;
+        if (!proto) return;
+
+        const manager = this;
+        const pending = new WeakMap(); // xhr -> {url, headers}
+        const originalOpen = proto.open;
+        const originalSetRequestHeader = proto.setRequestHeader;
+        const originalSend = proto.send;
+
+        proto.open = function(method, url) {
+            pending.set(this, { url: manager.getRequestUrl(url), headers: {} });
+            return originalOpen.apply(this, arguments);
+        };
+
+        proto.setRequestHeader = function(name, value) {
+            const request = pending.get(this);
+            if (request) {
+                request.headers[String(name).toLowerCase()] = String(value);
+            }
+            return originalSetRequestHeader.apply(this, arguments);
+        };
+
+        proto.send = function() {
+            const request = pending.get(this);
+            if (request && manager.isAuthRequest(request.url)) {
+                try {
+                    manager.capture(request.url, request.headers, 'xhr');
+                } catch (error) {
+                    ShopeeUtils.log(`捕获认证信息失败: ${error.message}`, 'warning');
+                }
+                this.addEventListener('loadend', () => manager.checkStatus(request.url, this.status));
+            }
+            return originalSend.apply(this, arguments);
+        };
+    },
+
+    /**
+     * 获取请求地址
+     * @param {string|URL|Request} input - fetch 的第一个参数或 XHR 的 url
+     * @returns {string}
+     */
+    getRequestUrl(input) {
+        if (!input) return '';
+        if (typeof input === 'string') return input;
+        if (typeof input.url === 'string') return input.url;   // Request
+        if (typeof input.href === 'string') return input.href; // URL
+        return String(input);
+    },
+
+    /**
+     * 是否为需要捕获的卖家中心接口
+     * @param {string} url - 请求地址
+     * @returns {boolean}
+     */
+    isAuthRequest(url) {
+        return Boolean(url) && this.config.urlPattern.test(url);
+    },
+
+    /**
+     * 将各种形式的请求头转为小写键名的对象
+     * @param {Headers|Array|Object|null} headers - Headers 实例、键值对数组或普通对象
+     * @returns {Object}
+     */
+    normalizeHeaders(headers) {
+        const result = {};
+        if (!headers) return result;
+
+        const add = (name, value) => {
+            result[String(name).toLowerCase()] = String(value);
+        };
+
+        if (typeof headers.forEach === 'function' && !Array.isArray(headers)) {
+            // Headers 实例（forEach 回调参数顺序为 value, name）
+            headers.forEach((value, name) => add(name, value));
+        } else if (Array.isArray(headers)) {
+            headers.forEach(([name, value]) => add(name, value));
+        } else if (typeof headers === 'object') {
+            Object.entries(headers).forEach(([name, value]) => add(name, value));
+        }
+
+        return result;
+    },
+
+    /**
+     * 记录一次捕获
+     * @param {string} url - 请求地址
+     * @param {Object} headers - 小写键名的请求头
+     * @param {string} source - fetch | xhr
+     */
+    capture(url, headers, source) {
+        const captured = {};
+        Object.entries(headers).forEach(([name, value]) => {
+            if (!this.config.ignoredHeaders.includes(name)) {
+                captured[name] = value;
+            }
+        });
+
+        const params = { ...this.state.params };
+        const query = new URL(url, 'https://placeholder.invalid').searchParams;
+        this.config.queryParams.forEach(name => {
+            if (query.has(name)) {
+                params[name] = query.get(name);
+            }
+        });
+
+        const headersMerged = { ...this.state.headers, ...captured };
+        const isFirst = !this.state.capturedAt || this.state.source === 'storage' || this.state.expired;
+        // 页面每个接口请求都会经过这里，内容没有变化时不写存储、不通知
+        if (!isFirst && this.isSameValues(headersMerged, this.state.headers) && this.isSameValues(params, this.state.params)) {
+            return;
+        }
+
+        this.state = {
+            headers: headersMerged,
+            params,
+            capturedAt: Date.now(),
+            source,
+            expired: false,
+            prompted: false
+        };
+        this.save();
+        this.hideReloginBanner();
+
+        if (isFirst) {
+            ShopeeUtils.log(`已从页面请求 (${source}) 捕获认证信息`, 'success');
+            ShopeeUtils.addLogToUI('已获取认证信息', 'success');
+        }
+        this.notify();
+    },
+
+    /**
+     * 比较两个键值对象的内容是否相同
+     * @param {Object} a
+     * @param {Object} b
+     * @returns {boolean}
+     */
+    isSameValues(a, b) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+    },
+
+    /**
+     * 是否已有可用的认证信息
+     * @returns {boolean}
+     */
+    hasCredentials() {
+        return !this.state.expired && Object.keys(this.state.headers).length > 0;
+    },
+
+    /**
+     * 等待页面请求带出认证信息
+     * @param {number} timeout - 最长等待时间（毫秒）
+     * @returns {Promise<boolean>} 是否已捕获
+     */
+    waitForCapture(timeout) {
+        if (this.hasCredentials()) {
+            return Promise.resolve(true);
+        }
+
+        return new Promise(resolve => {
+            const listener = () => {
+                if (!this.hasCredentials()) return;
+                clearTimeout(timer);
+                this.listeners = this.listeners.filter(item => item !== listener);
+                resolve(true);
+            };
+            const timer = setTimeout(() => {
+                this.listeners = this.listeners.filter(item => item !== listener);
+                resolve(this.hasCredentials());
+            }, timeout);
+            this.listeners.push(listener);
+        });
+    },
+
+    /**
+     * 获取请求头：默认头部 + 捕获的头部
+     * @returns {Object}
+     */
+    getHeaders() {
+        const headers = {
+            'content-type': 'application/json',
+            'accept': 'application/json',
+            'x-requested-with': 'XMLHttpRequest'
+        };
+
+        const csrfToken = ShopeeUtils.getCsrfToken();
+        if (csrfToken) {
+            headers['x-csrftoken'] = csrfToken;
+        }
+
+        return { ...headers, ...this.state.headers };
+    },
+
+    /**
+     * 获取需要附加到接口地址的查询参数（SPC_CDS 等）
+     * @returns {Object}
+     */
+    getQueryParams() {
+        return { ...this.state.params };
+    },
+
+    /**
+     * 获取捕获到的店铺ID
+     * @returns {string|null}
+     */
+    getCapturedShopId() {
+        return this.state.params.cnsc_shop_id || null;
+    },
+
+    /**
+     * 根据 HTTP 状态码检测登录失效（只有 401 视为失效）
+     * @param {string} url - 请求地址
+     * @param {number} status - HTTP 状态码
+     */
+    checkStatus(url, status) {
+        if (this.isAuthRequest(url) && this.config.expiredStatuses.includes(status)) {
+            this.markExpired(`HTTP ${status}`);
+        }
+    },
+
+    /**
+     * 是否为登录失效的业务错误
+     * @param {number} code - 错误码
+     * @param {string} message - 错误信息
+     * @returns {boolean}
+     */
+    isLoginError(code, message) {
+        return this.config.loginErrorCodes.includes(code) ||
+               /not login|login required|need login|unauthori[sz]ed|session expired|token expired/i.test(message || '');
+    },
+
+    /**
+     * 检查接口业务错误，登录失效时标记并返回不可重试的错误
+     * @param {number} code - 错误码
+     * @param {string} message - 错误信息
+     * @returns {Error|null}
+     */
+    handleLoginError(code, message) {
+        if (!this.isLoginError(code, message)) {
+            return null;
+        }
+
+        this.markExpired(message || `错误码 ${code}`);
+        const error = new Error(`登录已失效: ${message || code}`);
+        error.code = code;
+        error.authExpired = true;
+        error.retryable = false;
+        return error;
+    },
+
+    /**
+     * 标记登录失效：清除捕获的认证信息并提示重新登录
+     * @param {string} reason - 原因
+     */
+    markExpired(reason) {
+        if (this.state.expired) return;
+
+        this.state = { ...this.state, headers: {}, expired: true };
+        this.clearStorage();
+        ShopeeUtils.addLogToUI(`登录已失效 (${reason})，请重新登录后再操作`, 'error');
+        this.notify();
+        this.promptRelogin();
+    },
+
+    /**
+     * 提示重新登录（每次失效只提示一次）
+     * 在页面顶部显示横幅而不是弹窗，不打断页面和其他任务；由用户决定何时刷新
+     */
+    promptRelogin() {
+        if (this.state.prompted) return;
+        this.state.prompted = true;
+
+        if (document.body) {
+            this.showReloginBanner();
+        } else {
+            document.addEventListener('DOMContentLoaded', () => this.showReloginBanner());
+        }
+    },
+
+    /**
+     * 显示重新登录横幅
+     */
+    showReloginBanner() {
+        if (!this.state.expired || document.getElementById(this.config.bannerId)) return;
+
+        const banner = document.createElement('div');
+        banner.id = this.config.bannerId;
+        banner.style.cssText = [
+            'position: fixed', 'top: 0', 'left: 0', 'right: 0', 'z-index: 1000000',
+            'padding: 8px 12px', 'background: #f44747', 'color: #fff',
+            'font-family: sans-serif', 'font-size: 13px', 'text-align: center'
+        ].join(';');
+        banner.innerHTML = `
+            Shopee 登录已失效，请重新登录后再操作（刷新后已爬取的数据和检查点会保留）
+            <button data-action="reload" style="margin-left: 8px;">刷新页面</button>
+            <button data-action="dismiss" style="margin-left: 4px;">关闭</button>
+        `;
+        banner.addEventListener('click', (event) => {
+            const action = event.target.dataset?.action;
+            if (action === 'reload') {
+                window.location.reload();
+            } else if (action === 'dismiss') {
+                this.hideReloginBanner();
+            }
+        });
+        document.body.appendChild(banner);
+    },
+
+    /**
+     * 移除重新登录横幅（重新捕获到认证信息或用户关闭时）
+     */
+    hideReloginBanner() {
+        const banner = document.getElementById(this.config.bannerId);
+        if (banner) {
+            banner.remove();
+        }
+    },
+
+    /**
+     * 持久化认证信息
+     */
+    save() {
+        ShopeeUtils.storageSet(this.config.storageKey, {
+            headers: this.state.headers,
+            params: this.state.params,
+            capturedAt: this.state.capturedAt
+        });
+    },
+
+    /**
+     * 恢复未过期的持久化认证信息
+     */
+    restore() {
+        const saved = ShopeeUtils.storageGet(this.config.storageKey);
+        if (!saved || !saved.capturedAt || Date.now() - saved.capturedAt > this.config.maxAge) {
+            return;
+        }
+
+        this.state = {
+            ...this.state,
+            headers: saved.headers || {},
+            params: saved.params || {},
+            capturedAt: saved.capturedAt,
+            source: 'storage'
+        };
+    },
+
+    /**
+     * 清除持久化的认证信息
+     */
+    clearStorage() {
+        ShopeeUtils.storageDelete(this.config.storageKey);
+    },
+
+    /**
+     * 获取认证状态（用于界面显示）
+     * @returns {Object} {captured, expired, source, capturedAt, shopId}
+     */
+    getStatus() {
+        return {
+            captured: this.hasCredentials(),
+            expired: this.state.expired,
+            source: this.state.source,
+            capturedAt: this.state.capturedAt,
+            shopId: this.getCapturedShopId()
+        };
+    },
+
+    /**
+     * 监听认证状态变化
+     * @param {Function} listener - (state) => void
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    },
+
+    /**
+     * 通知状态变化
+     */
+    notify() {
+        this.listeners.forEach(listener => listener(this.state));
+    }
+};
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AuthManager;
+}
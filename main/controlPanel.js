@@ -0,0 +1,1026 @@
+// ==UserScript==
+// @name         Shopee工具-控制面板
+// @namespace    http://tampermonkey.net/
+// @version      1.0
+// @description  主脚本：注入浮动面板，串联订单爬取、SN匹配、地址提取和导出
+// @author       You
+// @match        https://seller.shopee.co.id/*
+// @match        https://seller.shopee.com.my/*
+// @match        https://seller.shopee.co.th/*
+// @match        https://seller.shopee.ph/*
+// @match        https://banhang.shopee.vn/*
+// @require      https://cdn.sheetjs.com/xlsx-0.20.3/package/dist/xlsx.full.min.js#sha256=zAFRMKqFIefwiPiImOupSczcv7ON8L0Sm0S3Jzw6b0E=
+// @require      regions.js
+// @require      utils.js
+// @require      authManager.js
+// @require      shopContext.js
+// @require      orderCrawler.js
+// @require      snMatcher.js
+// @require      fileImporter.js
+// @require      addressParser.js
+// @require      warehouseRules.js
+// @require      addressExtractor.js
+// @require      reconciliation.js
+// @require      scanStation.js
+// @require      excelExporter.js
+// @require      jobController.js
+// @grant        unsafeWindow
+// @grant        GM_xmlhttpRequest
+// @grant        GM_getValue
+// @grant        GM_setValue
+// @grant        GM_deleteValue
+// @grant        GM_listValues
+// @run-at       document-start
+// ==/UserScript==
+
+/**
+ * 控制面板模块
+ * 功能：
+ * 1. 注入浮动面板（日期选择、SN输入、操作按钮、进度条、日志）
+ * 2. 按顺序串联 爬取 -> 匹配 -> 提取 -> 导出
+ * 3. 前置数据不存在时禁用后续步骤
+ */
+const ControlPanel = {
+    // 面板元素ID
+    panelId: 'shopee-tool-panel',
+
+    // 导出列设置的持久化键名
+    exportColumnsKey: 'shopee_tool_export_columns',
+
+    // 运行状态
+    state: {
+        busy: false,           // 是否有任务正在执行
+        scanFlashTimer: null,  // 扫码结果闪烁计时器
+        shopId: null,          // 面板当前显示的店铺
+        snDrafts: new Map()    // 店铺ID -> SN输入框内容（切换店铺时保存/恢复）
+    },
+
+    /**
+     * 格式化日期为 input[type=date] 所需的 YYYY-MM-DD
+     * @param {Date} date - 日期
+     * @returns {string}
+     */
+    formatDateInput(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    },
+
+    /**
+     * 创建面板
+     */
+    createPanel() {
+        if (document.getElementById(this.panelId)) return;
+
+        const { lower_value, upper_value } = ShopeeUtils.getDefaultDateRange();
+
+        const panel = document.createElement('div');
+        panel.id = this.panelId;
+        panel.style.cssText = [
+            'position: fixed', 'top: 80px', 'right: 20px', 'z-index: 99999',
+            'width: 340px', 'background: #1e1e1e', 'color: #d4d4d4',
+            'border-radius: 8px', 'box-shadow: 0 4px 16px rgba(0,0,0,0.4)',
+            'font-family: sans-serif', 'font-size: 13px'
+        ].join(';');
+
+        panel.innerHTML = `
+            <div data-role="header" style="padding: 8px 12px; background: #ee4d2d; color: #fff; border-radius: 8px 8px 0 0; cursor: move; display: flex; justify-content: space-between;">
+                <strong>Shopee 退货工具</strong>
+                <span data-action="toggle" style="cursor: pointer;">—</span>
+            </div>
+            <div data-role="body" style="padding: 10px 12px;">
+                <div id="auth-status" style="font-size: 12px; margin-bottom: 8px;"></div>
+                <div style="display: flex; gap: 6px; align-items: center; margin-bottom: 8px;">
+                    <label for="shop-select">店铺</label>
+                    <select id="shop-select" style="flex: 1;" title="缓存、匹配和导出都按店铺分开；只能选择当前登录账号下的店铺"></select>
+                </div>
+                <div style="display: flex; gap: 6px; margin-bottom: 8px;">
+                    <input type="date" id="start-date" value="${this.formatDateInput(new Date(lower_value * 1000))}" style="flex: 1;">
+                    <input type="date" id="end-date" value="${this.formatDateInput(new Date(upper_value * 1000))}" style="flex: 1;">
+                </div>
+                <label style="display: block; margin-bottom: 8px;">
+                    <input type="checkbox" id="incremental-crawl"> 增量爬取（只爬取上次之后的新数据）
+                </label>
+                <details style="margin-bottom: 8px;">
+                    <summary style="cursor: pointer;">筛选条件</summary>
+                    <div style="display: grid; grid-template-columns: auto 1fr; gap: 4px 6px; margin-top: 6px; align-items: center;">
+                        <label for="filter-keyword">关键字</label>
+                        <input type="text" id="filter-keyword">
+                        <label for="filter-return-reasons">退货原因代码</label>
+                        <input type="text" id="filter-return-reasons" placeholder="逗号分隔，如 1,3">
+                        <label for="filter-logistics-statuses">物流状态代码</label>
+                        <input type="text" id="filter-logistics-statuses" placeholder="逗号分隔">
+                        <label for="filter-request-statuses">卖家请求状态代码</label>
+                        <input type="text" id="filter-request-statuses" placeholder="逗号分隔">
+                        <label for="filter-refund-min">退款金额</label>
+                        <div style="display: flex; gap: 4px;">
+                            <input type="number" id="filter-refund-min" min="0" placeholder="最低" style="width: 50%;">
+                            <input type="number" id="filter-refund-max" min="0" placeholder="最高" style="width: 50%;">
+                        </div>
+                        <label for="filter-flow-tab">flow_tab / case_tab</label>
+                        <div style="display: flex; gap: 4px;">
+                            <input type="number" id="filter-flow-tab" min="0" value="1" style="width: 50%;">
+                            <input type="number" id="filter-case-tab" min="0" value="0" style="width: 50%;">
+                        </div>
+                    </div>
+                </details>
+                <div id="file-drop-zone" style="border: 1px dashed #666; border-radius: 4px; padding: 6px; margin-bottom: 6px; text-align: center; font-size: 12px; cursor: pointer;">
+                    拖入 CSV / XLSX 退货清单，或点击选择文件
+                    <input type="file" id="file-import-input" accept=".csv,.tsv,.txt,.xlsx,.xls" style="display: none;">
+                </div>
+                <div id="file-import-options" style="display: none; gap: 4px; margin-bottom: 6px; align-items: center;">
+                    <label for="file-import-column" style="font-size: 12px;">SN列</label>
+                    <select id="file-import-column" style="flex: 1;"></select>
+                    <button data-action="file-import">载入</button>
+                </div>
+                <textarea id="sn-input" rows="5" placeholder="粘贴 Return SN（支持每行一个、Excel表格或聊天消息）" style="width: 100%; box-sizing: border-box; margin-bottom: 8px;"></textarea>
+                <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 6px; margin-bottom: 8px;">
+                    <button data-action="crawl">爬取</button>
+                    <button data-action="resume" title="从上次中断的位置继续爬取">继续</button>
+                    <button data-action="match">匹配</button>
+                    <button data-action="resolve" title="逐个查询未匹配的SN并重新匹配">补查</button>
+                    <button data-action="extract">提取</button>
+                    <button data-action="export">导出</button>
+                    <button data-action="export-xlsx" title="导出Excel：汇总表 + 每个仓库一个工作表">导出Excel</button>
+                    <button data-action="reconcile" title="对比实物签收与Shopee退货列表">对账</button>
+                </div>
+                <div style="display: flex; gap: 6px; margin-bottom: 8px;">
+                    <button data-action="job-pause" style="flex: 1;">暂停</button>
+                    <button data-action="job-cancel" style="flex: 1;" title="停止当前任务，已获取的结果会保留">取消</button>
+                </div>
+                <div style="display: flex; gap: 6px; margin-bottom: 6px; align-items: center;">
+                    <button data-action="scan-toggle" title="使用USB扫码枪逐个扫描实物包裹">扫码模式</button>
+                    <button data-action="scan-export">导出签收</button>
+                    <button data-action="scan-reset">清空</button>
+                </div>
+                <div id="scan-view" style="display: none; background: #111; border-radius: 4px; padding: 6px; margin-bottom: 8px; text-align: center; transition: background 0.2s;">
+                    <div id="scan-status" style="font-size: 18px; font-weight: bold;">等待扫描...</div>
+                    <div id="scan-tally" style="font-size: 11px; margin-top: 4px;"></div>
+                </div>
+                <div id="reconcile-view" style="display: none; background: #111; border-radius: 4px; padding: 6px; margin-bottom: 8px; font-size: 12px;"></div>
+                <details style="margin-bottom: 8px;">
+                    <summary style="cursor: pointer;">仓库规则</summary>
+                    <textarea id="warehouse-rules-editor" rows="8" spellcheck="false" style="width: 100%; box-sizing: border-box; margin-top: 6px; font-family: monospace; font-size: 11px;"></textarea>
+                    <div style="display: flex; gap: 4px; margin: 4px 0;">
+                        <button data-action="rules-save">保存</button>
+                        <button data-action="rules-reset">恢复默认</button>
+                        <button data-action="rules-import">导入</button>
+                        <button data-action="rules-export">导出</button>
+                        <input type="file" id="warehouse-rules-file" accept=".json,application/json" style="display: none;">
+                    </div>
+                    <div style="display: flex; gap: 4px;">
+                        <input type="text" id="warehouse-rules-test-address" placeholder="输入地址测试规则" style="flex: 1;">
+                        <button data-action="rules-test">测试</button>
+                    </div>
+                    <div id="warehouse-rules-test-result" style="font-size: 11px; margin-top: 4px;"></div>
+                </details>
+                <details style="margin-bottom: 8px;">
+                    <summary style="cursor: pointer;">导出设置</summary>
+                    <div style="display: flex; gap: 6px; margin-top: 6px; align-items: center;">
+                        <label for="csv-delimiter">分隔符</label>
+                        <select id="csv-delimiter">
+                            <option value=",">逗号 ,</option>
+                            <option value=";">分号 ;</option>
+                            <option value="tab">制表符</option>
+                        </select>
+                        <label><input type="checkbox" id="csv-bom"> UTF-8 BOM</label>
+                    </div>
+                    <textarea id="export-columns" rows="6" spellcheck="false" placeholder="每行一列，按顺序导出；留空导出全部列" style="width: 100%; box-sizing: border-box; margin-top: 6px; font-family: monospace; font-size: 11px;"></textarea>
+                    <div style="display: flex; gap: 4px;">
+                        <button data-action="export-columns-load" title="列出当前结果中的所有列">载入全部列</button>
+                        <button data-action="export-columns-clear">清空</button>
+                    </div>
+                </details>
+                <div style="background: #333; height: 8px; border-radius: 4px; overflow: hidden; margin-bottom: 4px;">
+                    <div id="progress-bar" style="background: #4ec9b0; height: 100%; width: 0%; transition: width 0.2s;"></div>
+                </div>
+                <div id="progress-text" style="font-size: 11px; margin-bottom: 8px;">0 / 0</div>
+                <div id="log-container" style="height: 180px; overflow-y: auto; background: #111; padding: 6px; border-radius: 4px;"></div>
+            </div>
+        `;
+
+        document.body.appendChild(panel);
+        this.bindEvents(panel);
+        this.loadWarehouseRulesEditor();
+        this.loadExportSettings(panel);
+        this.makeDraggable(panel);
+        this.state.shopId = ShopContext.getShopId();
+        this.renderShopSelector();
+        this.restoreCache();
+        this.updateButtonStates();
+    },
+
+    /**
+     * 恢复上次爬取的缓存，并同步日期选择
+     */
+    restoreCache() {
+        if (!OrderCrawler.restoreLatestCache()) return;
+
+        const { dateRange } = OrderCrawler.getCacheInfo();
+        if (dateRange) {
+            document.getElementById('start-date').value = this.formatDateInput(new Date(dateRange.lower_value * 1000));
+            document.getElementById('end-date').value = this.formatDateInput(new Date(dateRange.upper_value * 1000));
+        }
+    },
+
+    /**
+     * 绑定按钮事件
+     * @param {HTMLElement} panel - 面板元素
+     */
+    bindEvents(panel) {
+        const handlers = {
+            crawl: () => this.handleCrawl(),
+            resume: () => this.handleResume(),
+            match: () => this.handleMatch(),
+            resolve: () => this.handleResolveUnmatched(),
+            extract: () => this.handleExtract(),
+            export: () => this.handleExport(),
+            'export-xlsx': () => this.handleExportXlsx(),
+            'job-pause': () => JobController.togglePause(),
+            'job-cancel': () => JobController.cancel(),
+            'export-columns-load': () => this.handleLoadExportColumns(),
+            'export-columns-clear': () => {
+                document.getElementById('export-columns').value = '';
+                ShopeeUtils.storageDelete(this.exportColumnsKey);
+            },
+            reconcile: () => this.handleReconcile(),
+            'reconcile-export': (target) => Reconciliation.exportBucket(target.dataset.bucket),
+            'reconcile-export-all': () => Reconciliation.exportAll(),
+            'scan-toggle': (target) => this.handleToggleScan(target),
+            'scan-export': () => ScanStation.exportSession(),
+            'scan-reset': () => {
+                ScanStation.resetSession();
+                this.renderScanTally();
+                this.updateButtonStates();
+            },
+            'file-import': () => this.handleImportFileColumn(),
+            'rules-save': () => this.handleSaveWarehouseRules(),
+            'rules-reset': () => this.handleResetWarehouseRules(),
+            'rules-import': () => document.getElementById('warehouse-rules-file').click(),
+            'rules-export': () => this.handleExportWarehouseRules(),
+            'rules-test': () => this.handleTestWarehouseRules(),
+            toggle: () => {
+                const body = panel.querySelector('[data-role="body"]');
+                body.style.display = body.style.display === 'none' ? '' : 'none';
+            }
+        };
+
+        panel.addEventListener('click', (event) => {
+            const action = event.target.dataset?.action;
+            if (action && handlers[action]) {
+                handlers[action](event.target);
+            }
+        });
+
+        this.bindFileDropZone(panel);
+
+        JobController.onChange(() => this.updateButtonStates());
+        AuthManager.onChange(() => this.renderAuthStatus());
+        this.renderAuthStatus();
+
+        ShopContext.onChange(shopId => this.handleShopChanged(shopId));
+        panel.querySelector('#shop-select').addEventListener('change', (event) => {
+            ShopContext.select(event.target.value || null);
+        });
+
+        // 导入文件时通过脚本填入，不触发 input 事件；粘贴或手动输入时清除旧文件的附加列
+        panel.querySelector('#sn-input').addEventListener('input', () => {
+            if (SNMatcher.clearInputExtras()) {
+                ShopeeUtils.addLogToUI('SN输入已修改，导入文件的附加列不再使用', 'info');
+            }
+        });
+
+        panel.querySelector('#warehouse-rules-file').addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            if (file) {
+                this.handleImportWarehouseRules(file);
+            }
+            event.target.value = '';
+        });
+    },
+
+    /**
+     * 绑定文件拖放区域
+     * @param {HTMLElement} panel - 面板元素
+     */
+    bindFileDropZone(panel) {
+        const zone = panel.querySelector('#file-drop-zone');
+        const input = panel.querySelector('#file-import-input');
+
+        zone.addEventListener('click', (event) => {
+            if (event.target !== input) input.click();
+        });
+        input.addEventListener('change', () => {
+            if (input.files[0]) this.handleFileSelected(input.files[0]);
+            input.value = '';
+        });
+
+        zone.addEventListener('dragover', (event) => {
+            event.preventDefault();
+            zone.style.borderColor = '#4ec9b0';
+        });
+        zone.addEventListener('dragleave', () => {
+            zone.style.borderColor = '#666';
+        });
+        zone.addEventListener('drop', (event) => {
+            event.preventDefault();
+            zone.style.borderColor = '#666';
+            const file = event.dataTransfer.files[0];
+            if (file) this.handleFileSelected(file);
+        });
+    },
+
+    /**
+     * 解析选中的文件，并让用户选择SN所在列
+     * @param {File} file - 文件
+     */
+    async handleFileSelected(file) {
+        try {
+            const { headers, rows } = await FileImporter.parseFile(file);
+            const guessed = FileImporter.guessSnColumn(headers, rows);
+
+            const select = document.getElementById('file-import-column');
+            select.innerHTML = '';
+            headers.forEach(header => {
+                const option = document.createElement('option');
+                option.value = header;
+                option.textContent = header;
+                option.selected = header === guessed;
+                select.appendChild(option);
+            });
+
+            document.getElementById('file-import-options').style.display = 'flex';
+        } catch (error) {
+            ShopeeUtils.showError(`文件读取失败: ${error.message}`);
+        }
+    },
+
+    /**
+     * 将选中列的SN填入输入框，附加列交给匹配模块
+     */
+    handleImportFileColumn() {
+        try {
+            const column = document.getElementById('file-import-column').value;
+            const sns = FileImporter.importToMatcher(column);
+            document.getElementById('sn-input').value = sns.join('\n');
+        } catch (error) {
+            ShopeeUtils.showError(`导入失败: ${error.message}`);
+        }
+    },
+
+    /**
+     * 让面板可以通过标题栏拖动
+     * @param {HTMLElement} panel - 面板元素
+     */
+    makeDraggable(panel) {
+        const header = panel.querySelector('[data-role="header"]');
+        let offsetX = 0;
+        let offsetY = 0;
+
+        const onMove = (event) => {
+            panel.style.left = `${event.clientX - offsetX}px`;
+            panel.style.top = `${event.clientY - offsetY}px`;
+            panel.style.right = 'auto';
+        };
+
+        const onUp = () => {
+            document.removeEventListener('mousemove', onMove);
+            document.removeEventListener('mouseup', onUp);
+        };
+
+        header.addEventListener('mousedown', (event) => {
+            if (event.target.dataset?.action) return;
+            const rect = panel.getBoundingClientRect();
+            offsetX = event.clientX - rect.left;
+            offsetY = event.clientY - rect.top;
+            document.addEventListener('mousemove', onMove);
+            document.addEventListener('mouseup', onUp);
+        });
+    },
+
+    /**
+     * 根据已有数据更新按钮可用状态
+     */
+    updateButtonStates() {
+        const panel = document.getElementById(this.panelId);
+        if (!panel) return;
+
+        const enabled = {
+            crawl: true,
+            resume: OrderCrawler.hasCheckpoint(),
+            match: OrderCrawler.getCachedMap().size > 0,
+            resolve: SNMatcher.getUnmatchedSns().length > 0,
+            extract: SNMatcher.getMatchedResults().length > 0,
+            export: AddressExtractor.getAllCachedResults().length > 0,
+            'export-xlsx': AddressExtractor.getAllCachedResults().length > 0,
+            reconcile: OrderCrawler.getCachedData().length > 0 && this.getReceivedSns().length > 0,
+            'scan-export': ScanStation.getTally().total > 0
+        };
+
+        Object.entries(enabled).forEach(([action, isEnabled]) => {
+            const button = panel.querySelector(`button[data-action="${action}"]`);
+            if (button) {
+                button.disabled = this.state.busy || !isEnabled;
+            }
+        });
+
+        // 任务运行期间店铺已锁定
+        panel.querySelector('#shop-select').disabled = this.state.busy;
+
+        // 任务控制按钮只在可控制的任务运行时可用
+        const job = JobController.current;
+        const pauseButton = panel.querySelector('button[data-action="job-pause"]');
+        pauseButton.disabled = !job || job.isCancelled();
+        pauseButton.textContent = job && job.isPaused() ? '继续' : '暂停';
+        panel.querySelector('button[data-action="job-cancel"]').disabled = !job || job.isCancelled();
+    },
+
+    /**
+     * 更新进度条
+     * @param {number} completed - 已完成数量
+     * @param {number} total - 总数量
+     */
+    updateProgress(completed, total) {
+        const bar = document.getElementById('progress-bar');
+        const text = document.getElementById('progress-text');
+        const percent = total > 0 ? (completed / total * 100) : 0;
+
+        if (bar) bar.style.width = `${percent.toFixed(1)}%`;
+        if (text) text.textContent = `${completed} / ${total}`;
+    },
+
+    /**
+     * 显示认证状态
+     */
+    renderAuthStatus() {
+        const element = document.getElementById('auth-status');
+        if (!element) return;
+
+        const status = AuthManager.getStatus();
+        if (status.expired) {
+            element.textContent = '登录已失效，请刷新页面重新登录';
+            element.style.color = '#f44747';
+        } else if (status.captured) {
+            const time = new Date(status.capturedAt).toLocaleTimeString();
+            const shop = status.shopId ? `，店铺 ${status.shopId}` : '';
+            element.textContent = `已获取认证信息 (${time}${shop})`;
+            element.style.color = '#4ec9b0';
+        } else {
+            element.textContent = '尚未获取认证信息，操作页面（如刷新列表）后自动获取';
+            element.style.color = '#ffcc02';
+        }
+    },
+
+    /**
+     * 渲染店铺选择：跟随页面 + 出现过的店铺
+     */
+    renderShopSelector() {
+        const select = document.getElementById('shop-select');
+        if (!select) return;
+
+        const pageShopId = ShopContext.getPageShopId();
+        const options = [{ value: '', label: `跟随页面（${pageShopId || '未识别'}）` }];
+        ShopContext.getKnownShops().forEach(shop => {
+            options.push({ value: shop.id, label: shop.name ? `${shop.name} (${shop.id})` : shop.id });
+        });
+
+        select.innerHTML = '';
+        options.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = ShopContext.state.selectedId || '';
+    },
+
+    /**
+     * 切换店铺后：保存/恢复SN输入，恢复该店铺的缓存，刷新界面
+     * @param {string} shopId - 新的当前店铺
+     */
+    handleShopChanged(shopId) {
+        if (shopId === this.state.shopId) return;
+
+        const input = document.getElementById('sn-input');
+        if (input) {
+            this.state.snDrafts.set(this.state.shopId, input.value);
+            input.value = this.state.snDrafts.get(shopId) || '';
+        }
+        this.state.shopId = shopId;
+
+        if (!OrderCrawler.getCacheInfo().source) {
+            this.restoreCache();
+        }
+
+        const reconcileView = document.getElementById('reconcile-view');
+        if (reconcileView) {
+            reconcileView.style.display = 'none';
+        }
+        if (ScanStation.state.active) {
+            this.renderScanTally();
+        }
+
+        this.updateProgress(0, 0);
+        this.renderShopSelector();
+        this.updateButtonStates();
+    },
+
+    /**
+     * 以忙碌状态执行任务，期间禁用所有按钮
+     * @param {Function} task - 异步任务 (job) => Promise
+     * @param {string} jobName - 可选，提供时创建可暂停/取消的任务
+     */
+    async runTask(task, jobName = null) {
+        if (this.state.busy) return;
+
+        this.state.busy = true;
+        let job = null;
+
+        try {
+            // 任务期间锁定店铺，页面切换店铺不影响进行中的任务
+            ShopContext.lock();
+            // 创建任务失败（如已有任务在运行）时同样会在 finally 中恢复空闲状态
+            job = jobName ? JobController.start(jobName) : null;
+            this.updateButtonStates();
+
+            await task(job);
+        } catch (error) {
+            if (jobName && !job) {
+                ShopeeUtils.showError(error.message);
+            }
+            // 各模块已输出错误日志
+            ShopeeUtils.log(`任务失败: ${error.message}`, 'error');
+        } finally {
+            JobController.finish(job);
+            this.state.busy = false;
+            ShopContext.unlock();
+            this.updateButtonStates();
+        }
+    },
+
+    /**
+     * 读取面板中的筛选条件（校验由 OrderCrawler.normalizeFilters 完成）
+     * @returns {Object}
+     */
+    readCrawlFilters() {
+        const value = id => document.getElementById(id).value.trim();
+        const codes = id => value(id)
+            .split(/[,，\s]+/)
+            .filter(Boolean)
+            .map(Number);
+        const amount = id => value(id) === '' ? null : Number(value(id));
+
+        return {
+            keyword: value('filter-keyword') || null,
+            returnReasons: codes('filter-return-reasons'),
+            reverseLogisticsStatuses: codes('filter-logistics-statuses'),
+            sellerRequestStatuses: codes('filter-request-statuses'),
+            refundAmountMin: amount('filter-refund-min'),
+            refundAmountMax: amount('filter-refund-max'),
+            flowTab: Number(value('filter-flow-tab') || 1),
+            caseTab: Number(value('filter-case-tab') || 0)
+        };
+    },
+
+    /**
+     * 爬取订单
+     */
+    handleCrawl() {
+        return this.runTask(async (control) => {
+            const incremental = document.getElementById('incremental-crawl').checked;
+            await OrderCrawler.crawlOrders({ incremental, filters: this.readCrawlFilters(), control });
+        }, '订单爬取');
+    },
+
+    /**
+     * 从检查点继续爬取
+     */
+    handleResume() {
+        return this.runTask(async (control) => {
+            await OrderCrawler.resumeCrawl(control);
+        }, '订单爬取');
+    },
+
+    /**
+     * 匹配Return SN
+     */
+    handleMatch() {
+        return this.runTask(async () => {
+            const input = document.getElementById('sn-input').value;
+            const userSns = SNMatcher.parseUserInput(input);
+            if (userSns.length === 0) return;
+
+            SNMatcher.matchReturnSns(
+                userSns,
+                OrderCrawler.getCachedMap(),
+                OrderCrawler.getCachedRecordMap(),
+                OrderCrawler.getCachedShopId()
+            );
+        });
+    },
+
+    /**
+     * 查询未匹配的SN，找到的记录用于重新匹配
+     */
+    handleResolveUnmatched() {
+        return this.runTask(async () => {
+            const unmatched = [...SNMatcher.getUnmatchedSns()];
+            const { found, notFound, failed, authExpired } = await OrderCrawler.lookupReturnSns(unmatched);
+
+            if (found.length > 0) {
+                SNMatcher.matchReturnSns(
+                    SNMatcher.getUserInput(),
+                    OrderCrawler.getCachedMap(),
+                    OrderCrawler.getCachedRecordMap(),
+                    OrderCrawler.getCachedShopId()
+                );
+            }
+
+            if (notFound.length > 0) {
+                ShopeeUtils.addLogToUI(
+                    `最近 ${OrderCrawler.config.lookupDays} 天内、默认退货列表分类下未查到的SN（${notFound.length} 个）: ${notFound.join(', ')}`,
+                    'warning'
+                );
+            }
+            if (failed.length > 0) {
+                ShopeeUtils.addLogToUI(
+                    `查询失败的SN可${authExpired ? '重新登录后' : '稍后'}重试: ${failed.map(item => item.sn).join(', ')}`,
+                    'warning'
+                );
+            }
+        });
+    },
+
+    /**
+     * 提取地址
+     */
+    handleExtract() {
+        return this.runTask(async (control) => {
+            const matchedResults = SNMatcher.getMatchedResults();
+            this.updateProgress(0, matchedResults.length);
+
+            await AddressExtractor.extractAddresses(matchedResults, ({ total, completed }) => {
+                this.updateProgress(completed, total);
+            }, control);
+        }, '地址提取');
+    },
+
+    /**
+     * 导出结果
+     */
+    handleExport() {
+        const results = AddressExtractor.getAllCachedResults();
+        if (results.length === 0) {
+            ShopeeUtils.showError('没有可导出的结果');
+            return;
+        }
+
+        const columns = this.readExportColumns();
+        const available = ShopeeUtils.getCSVHeaders(results);
+        const unknownColumns = columns.filter(column => !available.includes(column));
+        if (unknownColumns.length > 0) {
+            ShopeeUtils.addLogToUI(`以下列在结果中不存在，将导出为空列: ${unknownColumns.join(', ')}`, 'warning');
+        }
+
+        const csvContent = ShopeeUtils.generateCSV(results, { columns });
+        ShopeeUtils.downloadCSV(csvContent, ShopContext.buildFilename('shopee_returns', 'csv'));
+        ShopeeUtils.showSuccess(`已导出 ${results.length} 条结果`);
+    },
+
+    /**
+     * 载入已保存的导出设置，并在修改时保存
+     * @param {HTMLElement} panel - 面板元素
+     */
+    loadExportSettings(panel) {
+        const delimiterSelect = panel.querySelector('#csv-delimiter');
+        const bomCheckbox = panel.querySelector('#csv-bom');
+        const columnsEditor = panel.querySelector('#export-columns');
+
+        const { delimiter, bom } = ShopeeUtils.getCSVOptions();
+        delimiterSelect.value = delimiter === '\t' ? 'tab' : delimiter;
+        bomCheckbox.checked = bom;
+        columnsEditor.value = ShopeeUtils.storageGet(this.exportColumnsKey, []).join('\n');
+
+        const saveCsvOptions = () => {
+            ShopeeUtils.setCSVOptions({
+                delimiter: delimiterSelect.value === 'tab' ? '\t' : delimiterSelect.value,
+                bom: bomCheckbox.checked
+            });
+        };
+        delimiterSelect.addEventListener('change', saveCsvOptions);
+        bomCheckbox.addEventListener('change', saveCsvOptions);
+        columnsEditor.addEventListener('change', () => {
+            ShopeeUtils.storageSet(this.exportColumnsKey, this.readExportColumns());
+        });
+    },
+
+    /**
+     * 读取导出列（每行一列，去重并保持顺序）
+     * @returns {Array}
+     */
+    readExportColumns() {
+        const lines = document.getElementById('export-columns').value
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean);
+        return Array.from(new Set(lines));
+    },
+
+    /**
+     * 将当前结果的所有列填入导出列编辑框
+     */
+    handleLoadExportColumns() {
+        const results = AddressExtractor.getAllCachedResults();
+        if (results.length === 0) {
+            ShopeeUtils.showError('没有提取结果，无法获取列名');
+            return;
+        }
+
+        const columns = ShopeeUtils.getCSVHeaders(results);
+        document.getElementById('export-columns').value = columns.join('\n');
+        ShopeeUtils.storageSet(this.exportColumnsKey, columns);
+        ShopeeUtils.addLogToUI(`已载入 ${columns.length} 列，可删除或调整顺序`, 'info');
+    },
+
+    /**
+     * 导出提取结果为Excel（按仓库分工作表）
+     */
+    handleExportXlsx() {
+        const results = AddressExtractor.getAllCachedResults();
+        if (results.length === 0) {
+            ShopeeUtils.showError('没有可导出的结果');
+            return;
+        }
+
+        try {
+            ExcelExporter.exportResults(results, ShopContext.buildFilename('shopee_returns', 'xlsx'));
+            ShopeeUtils.showSuccess(`已导出 ${results.length} 条结果`);
+        } catch (error) {
+            ShopeeUtils.showError(`导出Excel失败: ${error.message}`);
+        }
+    },
+
+    /**
+     * 获取实物签收的SN：输入框/文件中的SN与扫码签收的SN合并去重
+     * @returns {Array}
+     */
+    getReceivedSns() {
+        return Array.from(new Set([...SNMatcher.getUserInput(), ...ScanStation.getScannedSns()]));
+    },
+
+    /**
+     * 开启/关闭扫码模式
+     * @param {HTMLElement} button - 扫码模式按钮
+     */
+    handleToggleScan(button) {
+        const view = document.getElementById('scan-view');
+
+        if (ScanStation.state.active) {
+            ScanStation.stop();
+            button.textContent = '扫码模式';
+            view.style.display = 'none';
+            return;
+        }
+
+        ScanStation.start(scan => this.handleScan(scan));
+        button.textContent = '停止扫码';
+        view.style.display = 'block';
+        this.renderScanTally();
+    },
+
+    /**
+     * 显示单次扫描结果并闪烁提示
+     * @param {Object} scan - ScanStation.processScan 的结果
+     */
+    handleScan(scan) {
+        const colors = {
+            matched: '#2e7d32',
+            duplicate: '#b28704',
+            unknown: '#c62828',
+            invalid: '#6a1b9a'
+        };
+
+        const view = document.getElementById('scan-view');
+        document.getElementById('scan-status').textContent = `${scan.return_sn} · ${ScanStation.statuses[scan.status]}`;
+        view.style.background = colors[scan.status];
+        clearTimeout(this.state.scanFlashTimer);
+        this.state.scanFlashTimer = setTimeout(() => {
+            view.style.background = '#111';
+        }, 600);
+
+        this.renderScanTally();
+        this.updateButtonStates();
+    },
+
+    /**
+     * 更新本次签收统计
+     */
+    renderScanTally() {
+        const tally = ScanStation.getTally();
+        document.getElementById('scan-tally').textContent = [
+            `共 ${tally.total}`,
+            ...Object.entries(ScanStation.statuses).map(([status, label]) => `${label} ${tally[status]}`)
+        ].join(' · ');
+    },
+
+    /**
+     * 生成对账报告
+     * 先显示结果，再为仓库未知的未收到记录查询仓库（不写入地址提取结果，不影响导出），完成后刷新结果
+     */
+    handleReconcile() {
+        return this.runTask(async (control) => {
+            const crawledData = OrderCrawler.getCachedData();
+            const receivedSns = this.getReceivedSns();
+            const build = () => Reconciliation.build(
+                crawledData,
+                receivedSns,
+                (sn, record) => AddressExtractor.getWarehouse(sn, record)
+            );
+
+            this.renderReconciliation(build());
+
+            const pending = Reconciliation.findMissing(crawledData, receivedSns)
+                .filter(record => !AddressExtractor.getWarehouse(record.return_sn, record));
+            if (pending.length === 0) return;
+
+            ShopeeUtils.addLogToUI(`正在查询 ${pending.length} 个未收到记录的仓库，完成后更新对账结果`, 'info');
+            this.updateProgress(0, pending.length);
+            try {
+                await AddressExtractor.lookupWarehouses(pending, ({ total, completed }) => {
+                    this.updateProgress(completed, total);
+                }, control);
+            } catch (error) {
+                // 查询失败（如登录失效）不影响对账，仓库显示为未识别
+                ShopeeUtils.addLogToUI(`仓库查询失败，部分仓库无法识别: ${error.message}`, 'warning');
+            }
+
+            this.renderReconciliation(build());
+        }, '对账');
+    },
+
+    /**
+     * 渲染对账结果
+     * @param {Object} report - Reconciliation.build 的结果
+     */
+    renderReconciliation(report) {
+        const view = document.getElementById('reconcile-view');
+        view.innerHTML = '';
+        view.style.display = 'block';
+
+        const cellStyle = 'padding: 2px 6px; border-bottom: 1px solid #333;';
+        const createRow = (cells, tag = 'td') => {
+            const tr = document.createElement('tr');
+            cells.forEach(text => {
+                const cell = document.createElement(tag);
+                cell.style.cssText = cellStyle;
+                cell.textContent = text;
+                tr.appendChild(cell);
+            });
+            return tr;
+        };
+
+        // 三类汇总及下载
+        Object.entries(Reconciliation.buckets).forEach(([bucket, label]) => {
+            const line = document.createElement('div');
+            line.style.cssText = 'display: flex; justify-content: space-between; margin: 2px 0;';
+
+            const text = document.createElement('span');
+            text.textContent = `${label}: ${report.counts[bucket]}`;
+
+            const button = document.createElement('button');
+            button.textContent = '下载';
+            button.dataset.action = 'reconcile-export';
+            button.dataset.bucket = bucket;
+            button.disabled = report.counts[bucket] === 0;
+
+            line.append(text, button);
+            view.appendChild(line);
+        });
+
+        // 按仓库统计
+        const table = document.createElement('table');
+        table.style.cssText = 'width: 100%; border-collapse: collapse; margin: 6px 0;';
+        table.appendChild(createRow(['仓库', '已收到', '未收到'], 'th'));
+        Object.entries(report.byWarehouse)
+            .sort(([a], [b]) => a.localeCompare(b))
+            .forEach(([warehouse, counts]) => {
+                table.appendChild(createRow([warehouse, counts.received, counts.missing]));
+            });
+        view.appendChild(table);
+
+        const exportAll = document.createElement('button');
+        exportAll.textContent = '下载全部';
+        exportAll.dataset.action = 'reconcile-export-all';
+        view.appendChild(exportAll);
+    },
+
+    /**
+     * 将当前仓库规则载入编辑框
+     */
+    loadWarehouseRulesEditor() {
+        document.getElementById('warehouse-rules-editor').value = WarehouseRules.exportRules();
+    },
+
+    /**
+     * 读取编辑框中的规则
+     * @returns {Array}
+     */
+    readWarehouseRulesEditor() {
+        const rules = ShopeeUtils.safeJsonParse(document.getElementById('warehouse-rules-editor').value);
+        if (rules === null) {
+            throw new Error('规则JSON格式无效');
+        }
+        return rules;
+    },
+
+    /**
+     * 保存仓库规则
+     */
+    handleSaveWarehouseRules() {
+        try {
+            WarehouseRules.saveRules(this.readWarehouseRulesEditor());
+            this.loadWarehouseRulesEditor();
+        } catch (error) {
+            ShopeeUtils.showError(`仓库规则保存失败: ${error.message}`);
+        }
+    },
+
+    /**
+     * 恢复默认仓库规则
+     */
+    handleResetWarehouseRules() {
+        WarehouseRules.resetRules();
+        this.loadWarehouseRulesEditor();
+    },
+
+    /**
+     * 导出仓库规则为JSON文件
+     */
+    handleExportWarehouseRules() {
+        ShopeeUtils.downloadFile(
+            WarehouseRules.exportRules(),
+            `warehouse_rules_${ShopeeRegions.getCurrent().code}.json`,
+            'application/json'
+        );
+    },
+
+    /**
+     * 从JSON文件导入仓库规则
+     * @param {File} file - 规则文件
+     */
+    async handleImportWarehouseRules(file) {
+        try {
+            WarehouseRules.importRules(await file.text());
+            this.loadWarehouseRulesEditor();
+        } catch (error) {
+            ShopeeUtils.showError(`仓库规则导入失败: ${error.message}`);
+        }
+    },
+
+    /**
+     * 用编辑框中的规则测试地址（不保存）
+     */
+    handleTestWarehouseRules() {
+        const output = document.getElementById('warehouse-rules-test-result');
+        const address = document.getElementById('warehouse-rules-test-address').value.trim();
+
+        try {
+            const parsed = AddressExtractor.parseAddress(address);
+            const { warehouse, matchedRules } = WarehouseRules.testAddress(address, this.readWarehouseRulesEditor(), parsed);
+            const details = matchedRules.map(rule => `${rule.warehouse} (${rule.type}: ${rule.pattern}, 优先级 ${rule.priority})`);
+            const parsedText = parsed
+                ? ` | 解析: 邮编 ${parsed.kodePos || '-'}, ${parsed.kota || '-'}, ${parsed.provinsi || '-'}（置信度 ${parsed.confidence}）`
+                : '';
+            output.textContent = `识别结果: ${warehouse}` + (details.length > 0 ? ` | 命中: ${details.join('; ')}` : ' | 无规则命中') + parsedText;
+        } catch (error) {
+            output.textContent = `测试失败: ${error.message}`;
+        }
+    },
+
+    /**
+     * 初始化
+     */
+    init() {
+        // 尽早拦截页面请求以捕获认证信息（脚本在 document-start 运行）
+        AuthManager.install();
+        // 页面切换店铺后，新的页面请求会带出新的 cnsc_shop_id
+        AuthManager.onChange(() => ShopContext.refresh());
+
+        // 地址提取打开的详情页由 detailPageScraper.js 处理，不注入面板
+        if (new URLSearchParams(window.location.search).has(ShopeeUtils.addressChannel.urlFlag)) {
+            return;
+        }
+
+        if (document.body) {
+            this.createPanel();
+        } else {
+            document.addEventListener('DOMContentLoaded', () => this.createPanel());
+        }
+    }
+};
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ControlPanel;
+} else {
+    ControlPanel.init();
+}
@@ -0,0 +1,193 @@
+// ==UserScript==
+// @name         Shopee工具-详情页地址抓取模块
+// @namespace    http://tampermonkey.net/
+// @version      1.0
+// @description  在退货详情页抓取退货地址并回传给地址提取模块
+// @author       You
+// @match        https://seller.shopee.co.id/portal/sale/return/*
+// @match        https://seller.shopee.com.my/portal/sale/return/*
+// @match        https://seller.shopee.co.th/portal/sale/return/*
+// @match        https://seller.shopee.ph/portal/sale/return/*
+// @match        https://banhang.shopee.vn/portal/sale/return/*
+// @require      regions.js
+// @require      utils.js
+// @run-at       document-idle
+// ==/UserScript==
+
+/**
+ * 详情页地址抓取模块
+ * 功能：
+ * 1. 仅在地址提取模块打开的详情页中运行（URL带标记参数）
+ * 2. 等待SPA渲染完成后抓取退货地址、收件人和电话
+ * 3. 通过 BroadcastChannel 回传结果（不依赖 window.opener）
+ * 4. 找不到地址时回传明确的失败信息
+ */
+const DetailPageScraper = {
+    // 配置
+    config: {
+        pollInterval: 500,    // 轮询间隔
+        timeout: 20000,       // 等待渲染的最长时间
+        // 地址区块的候选选择器（按优先级）
+        addressSelectors: [
+            '[data-testid="return-address"]',
+            '.return-address .address-detail',
+            '.return-address'
+        ],
+        // 标签文本（印尼语/马来语/泰语/越南语/英语/中文）
+        addressLabels: ['Alamat Pengembalian', 'Alamat Pengiriman', 'Alamat', 'ที่อยู่', 'Địa chỉ', 'Return Address', 'Address', '退货地址', '地址'],
+        nameLabels: ['Nama Penerima', 'Penerima', 'Nama', 'ชื่อผู้รับ', 'Người nhận', 'Recipient', 'Name', '收件人'],
+        phoneLabels: ['No. Telepon', 'Nomor Telepon', 'Telepon', 'No. Telefon', 'เบอร์โทรศัพท์', 'Số điện thoại', 'Phone', 'Phone Number', '电话']
+    },
+
+    /**
+     * 从URL中解析Return ID
+     * @returns {string|null}
+     */
+    getReturnIdFromUrl() {
+        const match = window.location.pathname.match(/\/portal\/sale\/return\/(\d+)/);
+        return match ? match[1] : null;
+    },
+
+    /**
+     * 判断当前窗口是否由地址提取模块打开
+     * @returns {boolean}
+     */
+    isToolWindow() {
+        const params = new URLSearchParams(window.location.search);
+        return params.has(ShopeeUtils.addressChannel.urlFlag);
+    },
+
+    /**
+     * 根据标签文本查找对应的值
+     * @param {Array} labels - 候选标签文本
+     * @returns {string|null}
+     */
+    findValueByLabels(labels) {
+        const normalizedLabels = labels.map(l => l.toLowerCase());
+        const elements = document.querySelectorAll('div, span, label, td, th, dt, p');
+
+        for (const el of elements) {
+            // 只检查叶子节点，避免匹配到整个容器
+            if (el.children.length > 0) continue;
+
+            const text = el.textContent.trim().replace(/[:：]\s*$/, '').toLowerCase();
+            if (!normalizedLabels.includes(text)) continue;
+
+            // 优先取相邻元素，其次取父元素的相邻元素
+            const candidates = [el.nextElementSibling, el.parentElement?.nextElementSibling];
+            for (const candidate of candidates) {
+                const value = candidate?.textContent.trim();
+                if (value) return value;
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * 抓取当前页面的地址信息
+     * @returns {Object|null} {address, recipientName, recipientPhone}
+     */
+    scrapeAddress() {
+        let address = null;
+
+        for (const selector of this.config.addressSelectors) {
+            const el = document.querySelector(selector);
+            if (el && el.textContent.trim()) {
+                address = el.textContent.trim();
+                break;
+            }
+        }
+
+        if (!address) {
+            address = this.findValueByLabels(this.config.addressLabels);
+        }
+
+        if (!address) return null;
+
+        return {
+            address: address.replace(/\s+/g, ' '),
+            recipientName: this.findValueByLabels(this.config.nameLabels),
+            recipientPhone: this.findValueByLabels(this.config.phoneLabels)
+        };
+    },
+
+    /**
+     * 等待页面渲染并抓取地址
+     * @returns {Promise<Object|null>}
+     */
+    async waitForAddress() {
+        const deadline = Date.now() + this.config.timeout;
+
+        while (Date.now() < deadline) {
+            const result = this.scrapeAddress();
+            if (result) return result;
+            await ShopeeUtils.sleep(this.config.pollInterval);
+        }
+
+        return null;
+    },
+
+    /**
+     * 回传结果
+     * @param {Object} payload - 消息内容
+     */
+    postResult(payload) {
+        const channel = ShopeeUtils.adapters.createChannel(ShopeeUtils.addressChannel.name);
+        channel.postMessage({
+            type: ShopeeUtils.addressChannel.messageType,
+            ...payload
+        });
+        channel.close();
+    },
+
+    /**
+     * 执行抓取流程
+     */
+    async run() {
+        const returnId = this.getReturnIdFromUrl();
+        if (!returnId) {
+            ShopeeUtils.log('无法从URL解析Return ID', 'error');
+            return;
+        }
+
+        ShopeeUtils.log(`开始抓取详情页地址: ${returnId}`, 'info');
+
+        try {
+            const result = await this.waitForAddress();
+
+            if (result) {
+                ShopeeUtils.log(`抓取成功: ${returnId}`, 'success');
+                this.postResult({
+                    orderId: returnId,
+                    success: true,
+                    address: result.address,
+                    recipientName: result.recipientName,
+                    recipientPhone: result.recipientPhone
+                });
+            } else {
+                ShopeeUtils.log(`未找到地址区块: ${returnId}`, 'error');
+                this.postResult({
+                    orderId: returnId,
+                    success: false,
+                    address: null,
+                    error: '未找到地址区块'
+                });
+            }
+        } catch (error) {
+            this.postResult({
+                orderId: returnId,
+                success: false,
+                address: null,
+                error: error.message
+            });
+        }
+    }
+};
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DetailPageScraper;
+} else if (DetailPageScraper.isToolWindow()) {
+    DetailPageScraper.run();
+}
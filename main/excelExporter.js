@@ -0,0 +1,279 @@
+// ==UserScript==
+// @name         Shopee工具-Excel导出模块
+// @namespace    http://tampermonkey.net/
+// @version      1.0
+// @description  在浏览器中生成 .xlsx：汇总表 + 每个仓库一个工作表
+// @author       You
+// @require      https://cdn.sheetjs.com/xlsx-0.20.3/package/dist/xlsx.full.min.js#sha256=zAFRMKqFIefwiPiImOupSczcv7ON8L0Sm0S3Jzw6b0E=
+// @require      regions.js
+// @require      utils.js
+// @require      shopContext.js
+// ==/UserScript==
+
+/**
+ * Excel导出模块
+ * 功能：
+ * 1. 按 AddressExtractor.identifyWarehouse 识别出的仓库分工作表
+ * 2. 生成汇总表（每个仓库的数量、成功/失败数、退款合计）
+ * 3. 日期、数字列写为真实类型，表头冻结，列宽自动适配
+ */
+const ExcelExporter = {
+    // 配置
+    config: {
+        dateFormat: 'yyyy-mm-dd hh:mm:ss',
+        maxColumnWidth: 60,
+        // 列类型：unixDate 为秒级时间戳，number 为数值；其余列按文本写入
+        columnTypes: {
+            create_time: 'unixDate',
+            refund_amount: 'number',
+            address_confidence: 'number'
+        }
+    },
+
+    /**
+     * 将秒级时间戳转换为站点时区的本地时间
+     * SheetJS 按运行环境的本地时区写入日期，这里构造一个"墙上时间"与站点一致的 Date
+     * @param {number} seconds - 秒级时间戳
+     * @returns {Date}
+     */
+    toRegionDate(seconds) {
+        const { timeZone } = ShopeeRegions.getCurrent();
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit'
+        }).formatToParts(new Date(seconds * 1000)).forEach(({ type, value }) => {
+            parts[type] = Number(value);
+        });
+
+        return new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    },
+
+    /**
+     * 按列类型转换单元格的值
+     * @param {string} column - 列名
+     * @param {*} value - 原始值
+     * @returns {*}
+     */
+    toCellValue(column, value) {
+        if (value === null || value === undefined || value === '') return null;
+
+        switch (this.config.columnTypes[column]) {
+            case 'unixDate': {
+                const seconds = Number(value);
+                return Number.isFinite(seconds) && seconds > 0 ? this.toRegionDate(seconds) : String(value);
+            }
+            case 'number': {
+                const number = Number(value);
+                return Number.isFinite(number) ? number : String(value);
+            }
+            default:
+                return typeof value === 'object' ? JSON.stringify(value) : value;
+        }
+    },
+
+    /**
+     * 收集所有行的列名（保持首次出现的顺序）
+     * @param {Array} rows - 数据行
+     * @returns {Array}
+     */
+    collectHeaders(rows) {
+        const headers = [];
+        rows.forEach(row => {
+            Object.keys(row).forEach(key => {
+                if (!headers.includes(key)) headers.push(key);
+            });
+        });
+        return headers;
+    },
+
+    /**
+     * 计算列宽（中日韩字符按两个字符宽度计算）
+     * @param {Array} headers - 列名
+     * @param {Array} rows - 已转换的数据行
+     * @returns {Array} [{wch}]
+     */
+    getColumnWidths(headers, rows) {
+        const textWidth = text => Array.from(String(text)).reduce((sum, ch) => (
+            sum + (/[\u2E80-\uFFEF]/.test(ch) ? 2 : 1)
+        ), 0);
+
+        return headers.map(header => {
+            let width = textWidth(header);
+            rows.forEach(row => {
+                const value = row[header];
+                if (value === null || value === undefined) return;
+                width = Math.max(width, value instanceof Date ? this.config.dateFormat.length : textWidth(value));
+            });
+            return { wch: Math.min(width + 2, this.config.maxColumnWidth) };
+        });
+    },
+
+    /**
+     * 生成工作表
+     * @param {Array} rows - 数据行
+     * @param {Array} headers - 列名
+     * @returns {Object} SheetJS 工作表
+     */
+    buildSheet(rows, headers) {
+        const typedRows = rows.map(row => {
+            const typed = {};
+            headers.forEach(header => {
+                typed[header] = this.toCellValue(header, row[header]);
+            });
+            return typed;
+        });
+
+        const sheet = XLSX.utils.json_to_sheet(typedRows, {
+            header: headers,
+            cellDates: true,
+            dateNF: this.config.dateFormat
+        });
+        sheet['!cols'] = this.getColumnWidths(headers, typedRows);
+        if (typedRows.length > 0) {
+            sheet['!autofilter'] = { ref: sheet['!ref'] };
+        }
+
+        return sheet;
+    },
+
+    /**
+     * 生成合法且不重复的工作表名（最长31字符，不能包含 []:*?/\）
+     * @param {string} name - 期望的名称
+     * @param {Set} used - 已使用的名称
+     * @returns {string}
+     */
+    getSheetName(name, used) {
+        const base = (String(name || '未识别').replace(/[[\]:*?/\\]/g, '_').trim() || '未识别').slice(0, 31);
+        let sheetName = base;
+        let index = 2;
+        while (used.has(sheetName.toLowerCase())) {
+            const suffix = ` (${index++})`;
+            sheetName = base.slice(0, 31 - suffix.length) + suffix;
+        }
+        used.add(sheetName.toLowerCase());
+        return sheetName;
+    },
+
+    /**
+     * 按仓库分组
+     * @param {Array} results - 提取结果
+     * @returns {Map<string, Array>}
+     */
+    groupByWarehouse(results) {
+        const groups = new Map();
+        results.forEach(result => {
+            const warehouse = result.warehouse || '未识别';
+            if (!groups.has(warehouse)) {
+                groups.set(warehouse, []);
+            }
+            groups.get(warehouse).push(result);
+        });
+        return new Map([...groups.entries()].sort(([a], [b]) => a.localeCompare(b)));
+    },
+
+    /**
+     * 生成汇总行
+     * @param {Map<string, Array>} groups - 按仓库分组的结果
+     * @returns {Array}
+     */
+    buildSummaryRows(groups) {
+        const summarize = (warehouse, rows) => ({
+            仓库: warehouse,
+            数量: rows.length,
+            成功: rows.filter(row => row.success).length,
+            失败: rows.filter(row => !row.success).length,
+            退款合计: rows.reduce((sum, row) => {
+                const amount = Number(row.refund_amount);
+                return Number.isFinite(amount) ? sum + amount : sum;
+            }, 0)
+        });
+
+        const summary = [];
+        const all = [];
+        groups.forEach((rows, warehouse) => {
+            summary.push(summarize(warehouse, rows));
+            all.push(...rows);
+        });
+        summary.push(summarize('合计', all));
+
+        return summary;
+    },
+
+    /**
+     * 生成工作簿
+     * @param {Array} results - 提取结果
+     * @returns {Object} SheetJS 工作簿
+     */
+    buildWorkbook(results) {
+        const workbook = XLSX.utils.book_new();
+        const usedNames = new Set();
+        const groups = this.groupByWarehouse(results);
+        const headers = this.collectHeaders(results);
+
+        const summaryRows = this.buildSummaryRows(groups);
+        const summarySheet = XLSX.utils.json_to_sheet(summaryRows);
+        summarySheet['!cols'] = this.getColumnWidths(Object.keys(summaryRows[0]), summaryRows);
+        XLSX.utils.book_append_sheet(workbook, summarySheet, this.getSheetName('汇总', usedNames));
+
+        groups.forEach((rows, warehouse) => {
+            XLSX.utils.book_append_sheet(workbook, this.buildSheet(rows, headers), this.getSheetName(warehouse, usedNames));
+        });
+
+        return workbook;
+    },
+
+    /**
+     * 冻结每个工作表的首行
+     * 社区版 SheetJS 不写出冻结窗格，这里直接修改生成的 xlsx 包中的工作表 XML
+     * @param {ArrayBuffer} buffer - XLSX.write 的输出
+     * @returns {Uint8Array}
+     */
+    freezeHeaderRows(buffer) {
+        const zip = XLSX.CFB.read(new Uint8Array(buffer), { type: 'array' });
+        const pane = '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>';
+
+        zip.FullPaths
+            .filter(path => /xl\/worksheets\/sheet\d+\.xml$/.test(path))
+            .forEach(path => {
+                const entry = XLSX.CFB.find(zip, path);
+                const xml = new TextDecoder().decode(entry.content)
+                    .replace('<sheetView workbookViewId="0"/>', `<sheetView workbookViewId="0">${pane}</sheetView>`);
+                entry.content = new TextEncoder().encode(xml);
+                entry.size = entry.content.length;
+            });
+
+        return XLSX.CFB.write(zip, { fileType: 'zip', type: 'array' });
+    },
+
+    /**
+     * 导出提取结果为 .xlsx
+     * @param {Array} results - 提取结果
+     * @param {string} filename - 文件名
+     */
+    exportResults(results, filename) {
+        if (typeof XLSX === 'undefined') {
+            throw new Error('表格库未加载');
+        }
+        if (!results || results.length === 0) {
+            throw new Error('没有可导出的结果');
+        }
+
+        const workbook = this.buildWorkbook(results);
+        const buffer = XLSX.write(workbook, { type: 'array', bookType: 'xlsx', compression: true });
+
+        ShopeeUtils.downloadFile(
+            this.freezeHeaderRows(buffer),
+            filename || ShopContext.buildFilename('shopee_returns', 'xlsx'),
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        );
+        ShopeeUtils.addLogToUI(`已导出Excel: ${workbook.SheetNames.length - 1} 个仓库, ${results.length} 条结果`, 'success');
+    }
+};
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExcelExporter;
+}
@@ -0,0 +1,177 @@
+// ==UserScript==
+// @name         Shopee工具-文件导入模块
+// @namespace    http://tampermonkey.net/
+// @version      1.0
+// @description  在本地解析CSV/XLSX退货清单，提取Return SN及其他列
+// @author       You
+// @require      https://cdn.sheetjs.com/xlsx-0.20.3/package/dist/xlsx.full.min.js#sha256=zAFRMKqFIefwiPiImOupSczcv7ON8L0Sm0S3Jzw6b0E=
+// @require      utils.js
+// @require      snMatcher.js
+// ==/UserScript==
+
+/**
+ * 文件导入模块
+ * 功能：
+ * 1. 在浏览器本地解析 CSV / XLSX 文件（不上传）
+ * 2. 自动猜测 Return SN 所在列，允许用户修改
+ * 3. 保留每个SN对应的其他列（如实物签收日期），供导出使用
+ */
+const FileImporter = {
+    // 配置
+    config: {
+        acceptedExtensions: ['.csv', '.tsv', '.txt', '.xlsx', '.xls']
+    },
+
+    // 最近一次解析的文件
+    current: null, // {fileName, sheetName, headers, rows}
+
+    /**
+     * 读取并解析文件
+     * @param {File} file - 用户选择的文件
+     * @returns {Promise<Object>} {fileName, sheetName, headers, rows}
+     */
+    async parseFile(file) {
+        const extension = file.name.slice(file.name.lastIndexOf('.')).toLowerCase();
+        if (!this.config.acceptedExtensions.includes(extension)) {
+            throw new Error(`不支持的文件类型: ${extension}`);
+        }
+        if (typeof XLSX === 'undefined') {
+            throw new Error('表格解析库未加载');
+        }
+
+        const buffer = await file.arrayBuffer();
+        const workbook = XLSX.read(buffer, { type: 'array' });
+
+        // 取第一个有数据的工作表
+        const sheetName = workbook.SheetNames.find(name => {
+            const sheet = workbook.Sheets[name];
+            return sheet && sheet['!ref'];
+        });
+        if (!sheetName) {
+            throw new Error('文件中没有数据');
+        }
+
+        // raw: false 保留单元格的显示文本（日期等不会变成序列号）
+        const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { raw: false, defval: '' });
+        if (rows.length === 0) {
+            throw new Error('文件中没有数据行');
+        }
+
+        const headers = Object.keys(rows[0]);
+        rows.forEach(row => {
+            Object.keys(row).forEach(key => {
+                if (!headers.includes(key)) headers.push(key);
+            });
+        });
+
+        this.current = { fileName: file.name, sheetName, headers, rows };
+        ShopeeUtils.addLogToUI(`已读取文件 ${file.name}（${sheetName}）: ${rows.length} 行, ${headers.length} 列`, 'success');
+
+        return this.current;
+    },
+
+    /**
+     * 猜测 Return SN 所在列
+     * @param {Array} headers - 列名
+     * @param {Array} rows - 数据行
+     * @returns {string|null} 列名
+     */
+    guessSnColumn(headers, rows) {
+        let best = null;
+        let bestScore = 0;
+
+        headers.forEach(header => {
+            let score = rows.filter(row => SNMatcher.looksLikeSn(SNMatcher.normalizeSn(row[header] || ''))).length;
+            // 列名提示加权
+            if (/return.?sn|退货.*sn|no\.?\s*retur/i.test(header)) {
+                score += rows.length * 0.5;
+            }
+            if (score > bestScore) {
+                best = header;
+                bestScore = score;
+            }
+        });
+
+        return best;
+    },
+
+    /**
+     * 按指定列提取SN和其他列
+     * @param {string} snColumn - SN所在列名
+     * @returns {Object} {sns, extras: Map<sn, Object>, duplicates, rejected}
+     */
+    extractEntries(snColumn) {
+        if (!this.current) {
+            throw new Error('请先选择文件');
+        }
+        if (!this.current.headers.includes(snColumn)) {
+            throw new Error(`列不存在: ${snColumn}`);
+        }
+
+        const sns = [];
+        const extras = new Map();
+        const duplicates = [];
+        const rejected = [];
+        const seen = new Map();
+
+        this.current.rows.forEach((row, index) => {
+            const lineNumber = index + 2; // 第1行为表头
+            const value = SNMatcher.normalizeSn(row[snColumn] || '');
+
+            if (!value) return;
+
+            if (!ShopeeUtils.validateReturnSn(value)) {
+                rejected.push({ token: String(row[snColumn]).trim(), line: lineNumber, reason: '格式无效' });
+                return;
+            }
+
+            if (seen.has(value)) {
+                duplicates.push({ sn: value, line: lineNumber, firstLine: seen.get(value) });
+                return;
+            }
+
+            seen.set(value, lineNumber);
+            sns.push(value);
+
+            const extra = {};
+            this.current.headers.forEach(header => {
+                if (header !== snColumn) {
+                    extra[header] = row[header];
+                }
+            });
+            extras.set(value, extra);
+        });
+
+        return { sns, extras, duplicates, rejected };
+    },
+
+    /**
+     * 将指定列导入匹配模块
+     * @param {string} snColumn - SN所在列名
+     * @returns {Array} 导入的SN
+     */
+    importToMatcher(snColumn) {
+        const { sns, extras, duplicates, rejected } = this.extractEntries(snColumn);
+
+        if (duplicates.length > 0) {
+            ShopeeUtils.addLogToUI(`文件中有 ${duplicates.length} 个重复的SN，已去重`, 'warning');
+        }
+        if (rejected.length > 0) {
+            const preview = rejected.slice(0, 5).map(item => `第 ${item.line} 行: ${item.token}`);
+            ShopeeUtils.addLogToUI(
+                `文件中有 ${rejected.length} 个格式无效的SN，已忽略: ${preview.join(', ')}${rejected.length > 5 ? '...' : ''}`,
+                'warning'
+            );
+        }
+
+        SNMatcher.setInputExtras(extras);
+        ShopeeUtils.addLogToUI(`从列 "${snColumn}" 导入 ${sns.length} 个Return SN`, 'success');
+
+        return sns;
+    }
+};
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FileImporter;
+}
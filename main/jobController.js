@@ -0,0 +1,166 @@
+// ==UserScript==
+// @name         Shopee工具-任务控制模块
+// @namespace    http://tampermonkey.net/
+// @version      1.0
+// @description  长时间任务（爬取、地址提取）的暂停/继续/取消
+// @author       You
+// @require      utils.js
+// ==/UserScript==
+
+/**
+ * 任务控制模块
+ * 功能：
+ * 1. 同一时间只运行一个任务，提供暂停/继续/取消
+ * 2. 任务在安全点调用 job.waitUntilRunning()：暂停时等待，取消时抛出错误
+ * 3. job.signal 在取消时触发，用于中止进行中的请求、关闭弹窗
+ */
+const JobController = {
+    // 任务状态
+    states: {
+        running: '运行中',
+        paused: '已暂停',
+        cancelled: '已取消',
+        finished: '已结束'
+    },
+
+    // 当前任务
+    current: null,
+
+    // 状态变化监听 (job) => void
+    listeners: [],
+
+    /**
+     * 创建取消错误（不可重试）
+     * @returns {Error}
+     */
+    createCancelError() {
+        const error = new Error('任务已取消');
+        error.name = 'AbortError';
+        error.aborted = true;
+        error.retryable = false;
+        return error;
+    },
+
+    /**
+     * 开始新任务
+     * @param {string} name - 任务名称（用于日志和界面）
+     * @returns {Object} job
+     */
+    start(name) {
+        if (this.current && this.current.state !== 'finished') {
+            throw new Error(`任务正在运行: ${this.current.name}`);
+        }
+
+        const controller = new AbortController();
+        let resumeWaiters = [];
+
+        const job = {
+            name: name,
+            state: 'running',
+            signal: controller.signal,
+
+            isPaused: () => job.state === 'paused',
+            isCancelled: () => job.state === 'cancelled' || controller.signal.aborted,
+
+            /**
+             * 暂停时等待继续；已取消时抛出取消错误
+             * @returns {Promise<void>}
+             */
+            waitUntilRunning: async () => {
+                while (job.state === 'paused') {
+                    await new Promise(resolve => resumeWaiters.push(resolve));
+                }
+                if (job.isCancelled()) {
+                    throw this.createCancelError();
+                }
+            },
+
+            pause: () => {
+                if (job.state !== 'running') return;
+                job.state = 'paused';
+                ShopeeUtils.addLogToUI(`${name} 已暂停（进行中的请求完成后停止）`, 'warning');
+                this.notify(job);
+            },
+
+            resume: () => {
+                if (job.state !== 'paused') return;
+                job.state = 'running';
+                resumeWaiters.forEach(resolve => resolve());
+                resumeWaiters = [];
+                ShopeeUtils.addLogToUI(`${name} 已继续`, 'info');
+                this.notify(job);
+            },
+
+            cancel: () => {
+                if (job.state === 'cancelled' || job.state === 'finished') return;
+                job.state = 'cancelled';
+                controller.abort();
+                resumeWaiters.forEach(resolve => resolve());
+                resumeWaiters = [];
+                ShopeeUtils.addLogToUI(`${name} 已取消，已获取的结果会保留`, 'warning');
+                this.notify(job);
+            }
+        };
+
+        this.current = job;
+        this.notify(job);
+        return job;
+    },
+
+    /**
+     * 结束任务
+     * @param {Object} job - 任务
+     */
+    finish(job) {
+        if (!job) return;
+        if (job.state !== 'cancelled') {
+            job.state = 'finished';
+        }
+        if (this.current === job) {
+            this.current = null;
+        }
+        this.notify(job);
+    },
+
+    /**
+     * 暂停/继续当前任务
+     */
+    togglePause() {
+        if (!this.current) return;
+        if (this.current.isPaused()) {
+            this.current.resume();
+        } else {
+            this.current.pause();
+        }
+    },
+
+    /**
+     * 取消当前任务
+     */
+    cancel() {
+        if (this.current) {
+            this.current.cancel();
+        }
+    },
+
+    /**
+     * 监听任务状态变化
+     * @param {Function} listener - (job) => void
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    },
+
+    /**
+     * 通知状态变化
+     * @param {Object} job - 任务
+     */
+    notify(job) {
+        this.listeners.forEach(listener => listener(job));
+    }
+};
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JobController;
+}
@@ -4,8 +4,14 @@
 // @version      1.0
 // @description  负责日期范围内的订单爬取、数据筛选和缓存
 // @author       You
+// @require      regions.js
 // @require      utils.js
-// @grant        GM_xmlhttpRequest
+// @require      authManager.js
+// @require      shopContext.js
+// @grant        GM_getValue
+// @grant        GM_setValue
+// @grant        GM_deleteValue
+// @grant        GM_listValues
 // ==/UserScript==
 
 /**
@@ -13,24 +19,80 @@
  * 功能：
  * 1. 根据日期范围爬取订单数据
  * 2. 过滤无效数据（return_sn为0或空）
- * 3. 只保留return_id和return_sn字段
- * 4. 缓存爬取结果
+ * 3. 按字段投影保留所需字段（可配置，默认包含原因、金额、状态、物流单号等）
+ * 4. 缓存爬取结果（内存缓存按店铺隔离；按店铺和日期范围持久化，刷新页面后可恢复）
+ * 5. 按SN单独查询到的记录另外保存，不混入日期范围缓存，只用于匹配
  */
 const OrderCrawler = {
     // 配置
     config: {
-        api: 'https://seller.shopee.co.id/api/v4/seller_center/return/return_list/get_exceptional_case_list',
+        api: '/api/v4/seller_center/return/return_list/get_exceptional_case_list', // 相对路径，域名按当前站点拼接
         pageSize: 50,
         maxRetries: 3,
-        retryDelay: 2000
+        authCaptureTimeout: 3000,              // 等待页面请求以捕获认证头的时间
+        requestTimeout: 30000,                 // 单次请求超时
+        retryDelay: 2000,                      // 重试基础延迟，按指数退避递增并加随机抖动
+        maxRetryDelay: 30000,                  // 单次重试最长延迟
+        throttleDelay: 10000,                  // 被限流时的最短等待时间
+        throttleErrorCodes: [],                // 视为限流的业务错误码（HTTP 429 和限流提示文本始终识别）
+        cacheTTL: 12 * 60 * 60 * 1000,         // 持久化缓存有效期（12小时）
+        storagePrefix: 'shopee_tool_order_cache', // 持久化键名前缀
+        checkpointPrefix: 'shopee_tool_crawl_checkpoint', // 爬取检查点键名前缀（有效期同 cacheTTL）
+        lookupPrefix: 'shopee_tool_lookup_hits', // 按SN查询结果的持久化键名前缀
+        chunkDays: 7,                          // 长日期范围按此天数拆分为多个时间窗口（0 表示不拆分）
+        lookupDays: 365,                       // 按SN单独查询时的回溯天数
+        // 默认筛选条件（与原先写死的请求参数一致）
+        defaultFilters: {
+            keyword: null,
+            returnReasons: [],
+            reverseLogisticsStatuses: [],
+            sellerRequestStatuses: [],
+            refundAmountMin: null,
+            refundAmountMax: null,
+            flowTab: 1,
+            caseTab: 0
+        },
+        // 字段投影：输出字段名 -> 原始数据中的路径（支持 a.b.c 形式）
+        // return_id 和 return_sn 始终保留
+        fields: {
+            create_time: 'create_time',
+            return_reason: 'return_reason',
+            refund_amount: 'refund_amount',
+            status: 'status',
+            buyer_username: 'buyer_info.username',
+            tracking_number: 'reverse_logistics_info.tracking_number'
+        }
     },
 
-    // 缓存
-    cache: {
-        rawData: [],      // 原始数据
-        filteredData: [], // 过滤后的数据
-        snToIdMap: new Map(), // SN到ID的映射
-        lastUpdate: null   // 最后更新时间
+    // 按店铺隔离的缓存: 店铺ID -> 缓存
+    shopCaches: new Map(),
+
+    /**
+     * 当前店铺的缓存
+     * @returns {Object}
+     */
+    get cache() {
+        return ShopContext.getShopCache(this.shopCaches, () => this.createCache());
+    },
+
+    /**
+     * 创建空缓存
+     * @returns {Object}
+     */
+    createCache() {
+        return {
+            rawData: [],      // 原始数据
+            filteredData: [], // 过滤后的数据
+            snToIdMap: new Map(), // SN到ID的映射
+            lastUpdate: null,  // 最后更新时间
+            latestCreateTime: null, // 缓存中最新的创建时间（增量爬取起点）
+            dateRange: null,   // 缓存对应的日期范围
+            filters: null,     // 缓存对应的筛选条件
+            shopId: null,      // 缓存对应的店铺ID
+            source: null,      // 数据来源: crawl（实时爬取）| disk（持久化恢复）
+            crawlStatus: null, // 最近一次爬取状态 {complete, failedPage, failedOffset, failedWindow, error, cancelled, windows}
+            lookupHits: new Map() // 按SN查询到的记录: return_sn -> 记录（不属于任何日期范围）
+        };
     },
 
     // 认证头部
@@ -38,51 +100,31 @@ const OrderCrawler = {
 
     /**
      * 获取认证信息
+     * 认证头由 AuthManager 在页面加载时从页面请求中捕获；尚未捕获时最多等待 authCaptureTimeout，
+     * 仍未捕获则使用默认头部（含 CSRF Token）并提示
      * @returns {Promise<Object>}
+     * @throws {Error} 登录已失效时抛出
      */
     async getAuthHeaders() {
-        return new Promise((resolve) => {
-            ShopeeUtils.addLogToUI('正在获取认证信息...', 'info');
-
-            // 拦截fetch请求获取认证信息
-            const originalFetch = window.fetch;
-            let captured = false;
-
-            window.fetch = function(...args) {
-                const [url, options] = args;
-                
-                if (url.includes('seller_center') || url.includes('return_list') || url.includes('get_exceptional_case_list')) {
-                    if (options?.headers) {
-                        OrderCrawler.authHeaders = { ...options.headers };
-                        captured = true;
-                        ShopeeUtils.addLogToUI('已获取认证信息', 'success');
-                    }
-                }
-                return originalFetch.apply(this, args);
-            };
+        if (AuthManager.state.expired) {
+            AuthManager.promptRelogin();
+            const error = new Error('登录已失效，请重新登录后再操作');
+            error.authExpired = true;
+            error.retryable = false;
+            throw error;
+        }
 
-            // 超时使用默认头部
-            setTimeout(() => {
-                if (!captured) {
-                    const csrfToken = ShopeeUtils.getCsrfToken();
-                    OrderCrawler.authHeaders = {
-                        'Content-Type': 'application/json',
-                        'Accept': 'application/json',
-                        'X-Requested-With': 'XMLHttpRequest'
-                    };
-                    
-                    if (csrfToken) {
-                        OrderCrawler.authHeaders['X-CSRFToken'] = csrfToken;
-                        ShopeeUtils.addLogToUI('已添加 CSRF Token', 'info');
-                    }
-                    
-                    ShopeeUtils.addLogToUI('使用默认认证信息', 'warning');
-                }
-                
-                window.fetch = originalFetch;
-                resolve(OrderCrawler.authHeaders);
-            }, 3000);
-        });
+        if (!AuthManager.hasCredentials()) {
+            ShopeeUtils.addLogToUI('正在等待页面请求以获取认证信息...', 'info');
+        }
+
+        const captured = await AuthManager.waitForCapture(this.config.authCaptureTimeout);
+        if (!captured) {
+            ShopeeUtils.addLogToUI('未捕获到认证信息，使用默认头部（如请求失败请刷新页面后重试）', 'warning');
+        }
+
+        this.authHeaders = AuthManager.getHeaders();
+        return this.authHeaders;
     },
 
     /**
@@ -120,78 +162,215 @@ const OrderCrawler = {
         };
     },
 
+    /**
+     * 校验并补全筛选条件
+     * @param {Object} filters - 部分筛选条件
+     * @returns {CrawlFilters} 完整的筛选条件
+     * @throws {Error} 参数无效时抛出
+     */
+    normalizeFilters(filters = {}) {
+        const result = { ...this.config.defaultFilters, ...filters };
+
+        if (result.keyword !== null && typeof result.keyword !== 'string') {
+            throw new Error('关键字必须是字符串');
+        }
+        result.keyword = result.keyword ? result.keyword.trim() || null : null;
+
+        ['returnReasons', 'reverseLogisticsStatuses', 'sellerRequestStatuses'].forEach(name => {
+            const value = result[name];
+            if (!Array.isArray(value) || !value.every(code => Number.isInteger(code) && code >= 0)) {
+                throw new Error(`${name} 必须是非负整数数组`);
+            }
+            result[name] = [...new Set(value)].sort((a, b) => a - b);
+        });
+
+        ['refundAmountMin', 'refundAmountMax'].forEach(name => {
+            const value = result[name];
+            if (value !== null && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+                throw new Error(`${name} 必须是非负数字或留空`);
+            }
+        });
+        if (result.refundAmountMin !== null && result.refundAmountMax !== null &&
+            result.refundAmountMin > result.refundAmountMax) {
+            throw new Error('最低退款金额不能大于最高退款金额');
+        }
+
+        ['flowTab', 'caseTab'].forEach(name => {
+            if (!Number.isInteger(result[name]) || result[name] < 0) {
+                throw new Error(`${name} 必须是非负整数`);
+            }
+        });
+
+        return result;
+    },
+
+    /**
+     * 生成筛选条件的短标识（用于持久化键名）
+     * @param {CrawlFilters} filters - 筛选条件
+     * @returns {string}
+     */
+    getFiltersKey(filters) {
+        const text = JSON.stringify(filters || this.config.defaultFilters);
+        let hash = 5381;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+        }
+        return (hash >>> 0).toString(36);
+    },
+
     /**
      * 获取单页数据
      * @param {number} pageNumber - 页码
      * @param {number|null} offset - 偏移量
      * @param {Object} dateRange - 日期范围
+     * @param {CrawlFilters} filters - 筛选条件
+     * @param {AbortSignal} signal - 可选，取消信号
      * @returns {Promise<Object>}
      */
-    fetchPageData(pageNumber, offset, dateRange) {
-        return new Promise((resolve, reject) => {
-            const payload = {
-                "language": "id",
-                "is_reverse_sorting_order": false,
-                "page_number": pageNumber,
-                "page_size": this.config.pageSize,
-                "keyword": null,
-                "pending_action": null,
-                "request_solution": null,
-                "forward_logistics_statuses": [],
-                "reverse_logistics_statuses": [],
-                "return_reasons": [],
-                "create_time_range": dateRange,
-                "compensation_amount_option": null,
-                "seller_request_statuses": [],
-                "validation_type_option": null,
-                "request_adjusted": null,
-                "advanced_fulfilment_option": null,
-                "refund_amount_range": {
-                    "lower_value": null,
-                    "upper_value": null
-                },
-                "flow_tab": 1,
-                "case_tab": 0,
-                "sorting_field": 1,
-                "key_action_due_time_range": {
-                    "lower_value": null,
-                    "upper_value": null
-                },
-                "platform_type": "sc"
+    async fetchPageData(pageNumber, offset, dateRange, filters = this.config.defaultFilters, signal = null) {
+        const payload = {
+            "language": ShopeeRegions.getCurrent().language,
+            "is_reverse_sorting_order": false,
+            "page_number": pageNumber,
+            "page_size": this.config.pageSize,
+            "keyword": filters.keyword,
+            "pending_action": null,
+            "request_solution": null,
+            "forward_logistics_statuses": [],
+            "reverse_logistics_statuses": filters.reverseLogisticsStatuses,
+            "return_reasons": filters.returnReasons,
+            "create_time_range": dateRange,
+            "compensation_amount_option": null,
+            "seller_request_statuses": filters.sellerRequestStatuses,
+            "validation_type_option": null,
+            "request_adjusted": null,
+            "advanced_fulfilment_option": null,
+            "refund_amount_range": {
+                "lower_value": filters.refundAmountMin,
+                "upper_value": filters.refundAmountMax
+            },
+            "flow_tab": filters.flowTab,
+            "case_tab": filters.caseTab,
+            "sorting_field": 1,
+            "key_action_due_time_range": {
+                "lower_value": null,
+                "upper_value": null
+            },
+            "platform_type": "sc"
+        };
+
+        // 添加cursor信息
+        if (offset !== null && offset !== 0) {
+            payload.cursor = {
+                "cursor_type": 1,
+                "cursor_offset": offset
             };
+        }
 
-            // 添加cursor信息
-            if (offset !== null && offset !== 0) {
-                payload.cursor = {
-                    "cursor_type": 1,
-                    "cursor_offset": offset
-                };
+        const { data } = await ShopeeUtils.request({
+            method: 'POST',
+            url: ShopeeRegions.buildUrl(this.config.api),
+            params: { ...AuthManager.getQueryParams(), ...ShopContext.getRequestParams() },
+            headers: {
+                'Content-Type': 'application/json',
+                ...this.authHeaders
+            },
+            body: payload,
+            timeout: this.config.requestTimeout,
+            signal
+        });
+
+        if (data.error && data.error !== 0) {
+            const loginError = AuthManager.handleLoginError(data.error, data.error_msg);
+            if (loginError) {
+                throw loginError;
             }
 
-            GM_xmlhttpRequest({
-                method: 'POST',
-                url: this.config.api,
-                headers: {
-                    'Content-Type': 'application/json',
-                    ...this.authHeaders
-                },
-                data: JSON.stringify(payload),
-                onload: function(response) {
-                    try {
-                        const data = JSON.parse(response.responseText);
-                        
-                        if (data.error && data.error !== 0) {
-                            reject(new Error(data.error_msg || 'API返回错误'));
-                        } else {
-                            resolve(data);
-                        }
-                    } catch (e) {
-                        reject(new Error('解析响应数据失败'));
-                    }
-                },
-                onerror: () => reject(new Error('网络请求失败'))
-            });
+            const error = new Error(data.error_msg || 'API返回错误');
+            error.code = data.error;
+            error.throttled = this.isThrottleError(data.error, data.error_msg);
+            throw error;
+        }
+
+        return data;
+    },
+
+    /**
+     * 判断业务错误是否为限流
+     * @param {number} code - 错误码
+     * @param {string} message - 错误信息
+     * @returns {boolean}
+     */
+    isThrottleError(code, message) {
+        return this.config.throttleErrorCodes.includes(code) ||
+               /too many|too frequent|rate limit|throttl/i.test(message || '');
+    },
+
+    /**
+     * 计算第 attempt 次重试前的等待时间（指数退避 + 随机抖动）
+     * @param {number} attempt - 重试次数（从1开始）
+     * @param {Error} error - 上一次的错误
+     * @returns {number} 毫秒
+     */
+    getRetryDelay(attempt, error) {
+        const base = Math.min(this.config.retryDelay * Math.pow(2, attempt - 1), this.config.maxRetryDelay);
+        const jitter = Math.random() * this.config.retryDelay;
+        let delay = base + jitter;
+
+        if (error.throttled) {
+            delay = Math.max(delay, error.retryAfter || this.config.throttleDelay);
+        }
+
+        return Math.round(delay);
+    },
+
+    /**
+     * 获取单页数据，失败时按指数退避重试
+     * @param {number} pageNumber - 页码
+     * @param {number|null} offset - 偏移量
+     * @param {Object} dateRange - 日期范围
+     * @param {CrawlFilters} filters - 筛选条件
+     * @param {AbortSignal} signal - 可选，取消信号
+     * @returns {Promise<Object>}
+     * @throws {Error} 重试耗尽或遇到不可重试的错误时抛出
+     */
+    async fetchPageWithRetry(pageNumber, offset, dateRange, filters, signal = null) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.fetchPageData(pageNumber, offset, dateRange, filters, signal);
+            } catch (error) {
+                if (error.retryable === false || attempt >= this.config.maxRetries) {
+                    throw error;
+                }
+
+                const delay = this.getRetryDelay(attempt + 1, error);
+                ShopeeUtils.addLogToUI(
+                    `第 ${pageNumber} 页${error.throttled ? '被限流' : '请求失败'}: ${error.message}，` +
+                    `${(delay / 1000).toFixed(1)} 秒后第 ${attempt + 1}/${this.config.maxRetries} 次重试`,
+                    'warning'
+                );
+                await ShopeeUtils.sleep(delay, signal);
+            }
+        }
+    },
+
+    /**
+     * 按配置的字段投影提取记录
+     * @param {Object} item - 原始记录
+     * @returns {Object} 投影后的记录
+     */
+    projectFields(item) {
+        const record = {
+            return_id: item.return_id,
+            return_sn: item.return_sn
+        };
+
+        Object.entries(this.config.fields).forEach(([name, path]) => {
+            const value = ShopeeUtils.getByPath(item, path);
+            record[name] = value === undefined ? null : value;
         });
+
+        return record;
     },
 
     /**
@@ -215,11 +394,7 @@ const OrderCrawler = {
                    item.return_sn !== undefined &&
                    item.return_sn !== '' &&
                    item.return_sn !== 0;
-        }).map(item => ({
-            // 只保留return_id和return_sn
-            return_id: item.return_id,
-            return_sn: item.return_sn
-        }));
+        }).map(item => this.projectFields(item));
 
         const filteredCount = dataArray.length - validData.length;
         if (filteredCount > 0) {
@@ -229,12 +404,283 @@ const OrderCrawler = {
         return validData;
     },
 
+    /**
+     * 按页爬取指定日期范围内的全部数据
+     * @param {Object} dateRange - 日期范围
+     * @param {CrawlFilters} filters - 筛选条件
+     * @param {Object} resumeFrom - 可选，从检查点继续 {page, offset, data}
+     * @param {Function} onPage - 可选，每页成功后回调 ({page, offset, data})，用于保存检查点
+     * @param {Object} control - 可选，JobController.start 返回的任务，用于暂停/取消
+     * @returns {Promise<Object>} {data, complete, failedPage, failedOffset, error, cancelled}
+     */
+    async crawlPages(dateRange, filters, resumeFrom = null, onPage = null, control = null) {
+        let allData = resumeFrom ? [...resumeFrom.data] : [];
+        let currentPage = resumeFrom ? resumeFrom.page : 1;
+        let hasMoreData = true;
+        let currentOffset = resumeFrom ? resumeFrom.offset : 0;
+        let failure = null;
+
+        while (hasMoreData) {
+            try {
+                // 暂停时在页与页之间等待；取消按中断处理，已获取的数据和检查点会保留
+                if (control) {
+                    await control.waitUntilRunning();
+                }
+
+                ShopeeUtils.addLogToUI(`正在爬取第 ${currentPage} 页...`, 'info');
+                const data = await this.fetchPageWithRetry(currentPage, currentOffset, dateRange, filters, control?.signal);
+
+                // 解析响应数据
+                let responseData = null;
+                let paginationInfo = null;
+
+                if (data && data.data && data.data.exceptional_case_list) {
+                    responseData = data.data.exceptional_case_list;
+                } else if (data && data.data && Array.isArray(data.data)) {
+                    responseData = data.data;
+                }
+
+                // 检查分页信息
+                if (data && data.pagination_info) {
+                    paginationInfo = data.pagination_info;
+                    hasMoreData = paginationInfo.has_more || false;
+                    currentOffset = paginationInfo.cursor?.cursor_offset || (currentPage * this.config.pageSize);
+                }
+
+                // 处理数据
+                if (responseData && Array.isArray(responseData) && responseData.length > 0) {
+                    allData = allData.concat(responseData);
+                    ShopeeUtils.addLogToUI(`第 ${currentPage} 页获取到 ${responseData.length} 条数据`, 'success');
+
+                    if (onPage) {
+                        onPage({ page: currentPage + 1, offset: currentOffset, data: allData });
+                    }
+
+                    // 如果API明确表示没有更多数据，停止爬取
+                    if (paginationInfo && paginationInfo.has_more === false) {
+                        ShopeeUtils.addLogToUI('API返回has_more=false，停止爬取', 'info');
+                        break;
+                    }
+                } else {
+                    ShopeeUtils.addLogToUI(`第 ${currentPage} 页返回空数据，停止爬取`, 'info');
+                    break;
+                }
+
+                currentPage++;
+                await ShopeeUtils.sleep(1000, control?.signal); // 延迟避免请求过快
+
+            } catch (error) {
+                // 用户取消不是错误，停在当前页，可从检查点继续
+                if (error.aborted) {
+                    ShopeeUtils.addLogToUI(`爬取已取消，停在第 ${currentPage} 页`, 'warning');
+                } else {
+                    ShopeeUtils.addLogToUI(`第 ${currentPage} 页爬取失败: ${error.message}`, 'error');
+                }
+                failure = {
+                    failedPage: currentPage,
+                    failedOffset: currentOffset,
+                    error: error.aborted ? null : error.message,
+                    cancelled: Boolean(error.aborted)
+                };
+                break;
+            }
+        }
+
+        return {
+            data: allData,
+            complete: failure === null,
+            failedPage: failure ? failure.failedPage : null,
+            failedOffset: failure ? failure.failedOffset : null,
+            error: failure ? failure.error : null,
+            cancelled: failure ? failure.cancelled : false
+        };
+    },
+
+    /**
+     * 将日期范围拆分为多个时间窗口
+     * @param {Object} dateRange - 日期范围
+     * @param {number} chunkDays - 每个窗口的天数，0 表示不拆分
+     * @returns {Array} [{lower_value, upper_value}, ...]
+     */
+    splitDateRange(dateRange, chunkDays = this.config.chunkDays) {
+        if (!chunkDays || chunkDays <= 0) {
+            return [dateRange];
+        }
+
+        const chunkSeconds = chunkDays * 24 * 60 * 60;
+        const windows = [];
+
+        for (let lower = dateRange.lower_value; lower <= dateRange.upper_value; lower += chunkSeconds) {
+            windows.push({
+                lower_value: lower,
+                upper_value: Math.min(lower + chunkSeconds - 1, dateRange.upper_value)
+            });
+        }
+
+        return windows;
+    },
+
+    /**
+     * 按时间窗口依次爬取，并跨窗口去重
+     * @param {Object} dateRange - 日期范围
+     * @param {CrawlFilters} filters - 筛选条件
+     * @param {Object} resumeFrom - 可选，从检查点继续 {windowIndex, page, offset, data, collected, windowCounts}
+     * @param {Function} onProgress - 可选，进度回调，参数同 resumeFrom，用于保存检查点
+     * @param {Object} control - 可选，JobController.start 返回的任务，用于暂停/取消
+     * @returns {Promise<Object>} {data, complete, failedPage, failedOffset, failedWindow, error, cancelled, windowCounts}
+     */
+    async crawlWindows(dateRange, filters, resumeFrom = null, onProgress = null, control = null) {
+        const windows = this.splitDateRange(dateRange);
+        const startIndex = resumeFrom ? resumeFrom.windowIndex : 0;
+        const windowCounts = resumeFrom ? [...resumeFrom.windowCounts] : [];
+        let collected = resumeFrom ? [...resumeFrom.collected] : [];
+
+        if (windows.length > 1) {
+            ShopeeUtils.addLogToUI(`日期范围拆分为 ${windows.length} 个时间窗口（每个 ${this.config.chunkDays} 天）`, 'info');
+        }
+
+        for (let i = startIndex; i < windows.length; i++) {
+            const windowRange = windows[i];
+            const label = `${ShopeeUtils.formatTime(windowRange.lower_value)} ~ ${ShopeeUtils.formatTime(windowRange.upper_value)}`;
+
+            if (windows.length > 1) {
+                ShopeeUtils.addLogToUI(`时间窗口 ${i + 1}/${windows.length}: ${label}`, 'info');
+            }
+
+            const pageResume = resumeFrom && i === startIndex && resumeFrom.page > 1
+                ? { page: resumeFrom.page, offset: resumeFrom.offset, data: resumeFrom.data }
+                : null;
+            const onPage = onProgress
+                ? ({ page, offset, data }) => onProgress({ windowIndex: i, page, offset, data, collected, windowCounts })
+                : null;
+
+            const result = await this.crawlPages(windowRange, filters, pageResume, onPage, control);
+
+            const before = collected.length;
+            collected = this.mergeByReturnId(collected, result.data);
+            windowCounts.push({
+                lower_value: windowRange.lower_value,
+                upper_value: windowRange.upper_value,
+                count: result.data.length,
+                complete: result.complete
+            });
+
+            if (windows.length > 1) {
+                ShopeeUtils.addLogToUI(
+                    `窗口 ${i + 1}/${windows.length} 获取 ${result.data.length} 条，去重后新增 ${collected.length - before} 条`,
+                    result.complete ? 'success' : (result.cancelled ? 'warning' : 'error')
+                );
+            }
+
+            if (!result.complete) {
+                return {
+                    data: collected,
+                    complete: false,
+                    failedPage: result.failedPage,
+                    failedOffset: result.failedOffset,
+                    failedWindow: i,
+                    error: result.error,
+                    cancelled: result.cancelled,
+                    windowCounts
+                };
+            }
+
+            // 窗口完成后保存检查点，继续时从下一个窗口开始
+            if (onProgress && i < windows.length - 1) {
+                onProgress({ windowIndex: i + 1, page: 1, offset: 0, data: [], collected, windowCounts });
+            }
+
+            if (i < windows.length - 1) {
+                await ShopeeUtils.sleep(1000); // 延迟避免请求过快
+            }
+        }
+
+        return {
+            data: collected,
+            complete: true,
+            failedPage: null,
+            failedOffset: null,
+            failedWindow: null,
+            error: null,
+            cancelled: false,
+            windowCounts
+        };
+    },
+
+    /**
+     * 获取数据中最新的创建时间
+     * @param {Array} dataArray - 原始数据数组
+     * @returns {number|null} Unix时间戳（秒）
+     */
+    getLatestCreateTime(dataArray) {
+        let latest = null;
+        dataArray.forEach(item => {
+            if (item && item.create_time && (latest === null || item.create_time > latest)) {
+                latest = item.create_time;
+            }
+        });
+        return latest;
+    },
+
+    /**
+     * 按return_id合并数据，新数据覆盖旧数据（用于更新状态变化的记录）
+     * @param {Array} existing - 已有数据
+     * @param {Array} incoming - 新爬取的数据
+     * @returns {Array} 合并后的数据
+     */
+    mergeByReturnId(existing, incoming) {
+        const merged = new Map();
+        existing.forEach(item => merged.set(String(item.return_id), item));
+        incoming.forEach(item => merged.set(String(item.return_id), item));
+        return Array.from(merged.values());
+    },
+
+    /**
+     * 判断当前缓存能否用于增量爬取
+     * 所选日期范围必须与缓存的范围起点一致且不早于缓存的终点，否则新数据会合并进不相关的缓存
+     * @param {CrawlFilters} filters - 本次爬取的筛选条件
+     * @param {Object} dateRange - 本次选择的日期范围
+     * @returns {boolean}
+     */
+    canCrawlIncrementally(filters, dateRange) {
+        return this.cache.shopId === ShopContext.getShopId() &&
+               this.getFiltersKey(this.cache.filters) === this.getFiltersKey(filters) &&
+               this.cache.dateRange !== null &&
+               this.cache.dateRange.lower_value === dateRange.lower_value &&
+               this.cache.dateRange.upper_value <= dateRange.upper_value &&
+               this.cache.latestCreateTime !== null &&
+               this.cache.crawlStatus?.complete !== false &&
+               this.cache.snToIdMap.size > 0;
+    },
+
+    /**
+     * 判断中断的增量爬取能否继续
+     * 中断时已获取的部分数据已合并进缓存（缓存状态为未完成），因此按检查点自身记录的任务判断，
+     * 只要求缓存仍是该任务合并的目标：同一店铺、同一筛选条件，且缓存覆盖到增量范围的起点
+     * @param {Object} checkpoint - 检查点
+     * @returns {boolean}
+     */
+    canResumeIncrementally(checkpoint) {
+        return this.cache.shopId === checkpoint.shopId &&
+               this.getFiltersKey(this.cache.filters) === this.getFiltersKey(checkpoint.filters) &&
+               this.cache.dateRange !== null &&
+               this.cache.dateRange.lower_value <= checkpoint.crawlRange.lower_value &&
+               this.cache.dateRange.upper_value >= checkpoint.crawlRange.lower_value;
+    },
+
     /**
      * 爬取订单数据
+     * @param {Object} options - 爬取选项
+     * @param {boolean} options.incremental - 是否只爬取比缓存中最新记录更新的数据
+     * @param {Object} options.filters - 筛选条件，见 CrawlFilters，未提供的字段使用默认值
+     * @param {Object} options.control - 可选，JobController.start 返回的任务，用于暂停/取消
      * @returns {Promise<Array>} 过滤后的数据数组
      */
-    async crawlOrders() {
+    async crawlOrders(options = {}) {
         try {
+            // 0. 校验筛选条件（在请求认证信息前失败，避免无谓等待）
+            const filters = this.normalizeFilters(options.filters);
+
             // 1. 获取认证信息
             await this.getAuthHeaders();
 
@@ -244,88 +690,545 @@ const OrderCrawler = {
                 throw new Error('日期范围无效');
             }
 
+            let incremental = Boolean(options.incremental);
+            if (incremental && !this.canCrawlIncrementally(filters, dateRange)) {
+                ShopeeUtils.addLogToUI('没有与所选日期范围和筛选条件一致的完整缓存，改为完整爬取', 'warning');
+                incremental = false;
+            }
+
+            // 增量模式从缓存中最新的创建时间开始爬取（包含边界，重复记录在合并时去重）
+            const crawlRange = incremental
+                ? { lower_value: this.cache.latestCreateTime, upper_value: dateRange.upper_value }
+                : dateRange;
+
             // 3. 开始爬取
-            ShopeeUtils.addLogToUI('开始爬取订单数据...', 'info');
-            
-            let allData = [];
-            let currentPage = 1;
-            let hasMoreData = true;
-            let currentOffset = 0;
-
-            while (hasMoreData) {
-                ShopeeUtils.addLogToUI(`正在爬取第 ${currentPage} 页...`, 'info');
+            if (incremental) {
+                ShopeeUtils.addLogToUI(`开始增量爬取: ${ShopeeUtils.formatTime(crawlRange.lower_value)} 之后的数据`, 'info');
+            } else {
+                ShopeeUtils.addLogToUI('开始爬取订单数据...', 'info');
+            }
 
-                try {
-                    const data = await this.fetchPageData(currentPage, currentOffset, dateRange);
+            const job = { dateRange, crawlRange, filters, incremental, shopId: ShopContext.getShopId() };
+            const crawlResult = await this.crawlWindows(
+                crawlRange, filters, null, this.createCheckpointWriter(job), options.control
+            );
 
-                    // 解析响应数据
-                    let responseData = null;
-                    let paginationInfo = null;
+            // 4. 过滤和缓存数据
+            return this.applyCrawlResult(crawlResult, job);
 
-                    if (data && data.data && data.data.exceptional_case_list) {
-                        responseData = data.data.exceptional_case_list;
-                    } else if (data && data.data && Array.isArray(data.data)) {
-                        responseData = data.data;
-                    }
+        } catch (error) {
+            ShopeeUtils.showError(`订单爬取失败: ${error.message}`);
+            throw error;
+        }
+    },
 
-                    // 检查分页信息
-                    if (data && data.pagination_info) {
-                        paginationInfo = data.pagination_info;
-                        hasMoreData = paginationInfo.has_more || false;
-                        currentOffset = paginationInfo.cursor?.cursor_offset || (currentPage * this.config.pageSize);
-                    }
+    /**
+     * 通过列表接口的 keyword 逐个查询SN，找到的记录单独保存（不改变日期范围缓存）
+     * 用于补齐不在已爬取日期范围内的退货；只查询最近 lookupDays 天、默认列表分类下的记录
+     * @param {Array} sns - 要查询的Return SN
+     * @returns {Promise<Object>} {found: [记录], notFound: [SN], failed: [{sn, error}], authExpired}
+     */
+    async lookupReturnSns(sns) {
+        const result = { found: [], notFound: [], failed: [], authExpired: false };
+        if (!sns || sns.length === 0) return result;
 
-                    // 处理数据
-                    if (responseData && Array.isArray(responseData) && responseData.length > 0) {
-                        allData = allData.concat(responseData);
-                        ShopeeUtils.addLogToUI(`第 ${currentPage} 页获取到 ${responseData.length} 条数据`, 'success');
-
-                        // 如果API明确表示没有更多数据，停止爬取
-                        if (paginationInfo && paginationInfo.has_more === false) {
-                            ShopeeUtils.addLogToUI('API返回has_more=false，停止爬取', 'info');
-                            break;
-                        }
-                    } else {
-                        ShopeeUtils.addLogToUI(`第 ${currentPage} 页返回空数据，停止爬取`, 'info');
-                        break;
-                    }
+        const shopId = ShopContext.getShopId();
 
-                    currentPage++;
-                    await ShopeeUtils.sleep(1000); // 延迟避免请求过快
+        if (Object.keys(this.authHeaders).length === 0) {
+            await this.getAuthHeaders();
+        }
 
-                } catch (error) {
-                    ShopeeUtils.addLogToUI(`第 ${currentPage} 页爬取失败: ${error.message}`, 'error');
+        const now = Math.floor(Date.now() / 1000);
+        const dateRange = {
+            lower_value: now - this.config.lookupDays * 24 * 60 * 60,
+            upper_value: now
+        };
+
+        ShopeeUtils.addLogToUI(`开始逐个查询 ${sns.length} 个未匹配的SN...`, 'info');
+
+        for (let i = 0; i < sns.length; i++) {
+            const sn = sns[i];
+
+            try {
+                const filters = this.normalizeFilters({ keyword: sn });
+                const data = await this.fetchPageWithRetry(1, 0, dateRange, filters);
+                const list = data?.data?.exceptional_case_list || (Array.isArray(data?.data) ? data.data : []);
+
+                // keyword 可能模糊匹配，只接受SN完全一致的记录
+                const hits = this.filterValidData(list.filter(item => item && item.return_sn === sn));
+
+                if (hits.length > 0) {
+                    result.found.push(...hits);
+                    ShopeeUtils.log(`查询到: ${sn} -> ${hits[0].return_id}`, 'success');
+                } else {
+                    result.notFound.push(sn);
+                    ShopeeUtils.log(`查询不到: ${sn}`, 'warning');
+                }
+            } catch (error) {
+                // 登录失效后其余查询都会失败，停止并只提示一次
+                if (error.authExpired || AuthManager.config.expiredStatuses.includes(error.status)) {
+                    AuthManager.markExpired(error.message);
+                    const remaining = sns.slice(i);
+                    result.failed.push(...remaining.map(item => ({ sn: item, error: '登录已失效' })));
+                    result.authExpired = true;
+                    ShopeeUtils.addLogToUI(`登录已失效，停止查询，剩余 ${remaining.length} 个SN未查询: ${error.message}`, 'error');
                     break;
                 }
+
+                result.failed.push({ sn: sn, error: error.message });
+                ShopeeUtils.addLogToUI(`查询 ${sn} 失败: ${error.message}`, 'error');
             }
 
-            // 4. 过滤和缓存数据
+            if (i < sns.length - 1) {
+                await ShopeeUtils.sleep(1000); // 延迟避免请求过快
+            }
+        }
+
+        if (result.found.length > 0) {
+            ShopContext.assertCurrentShop(shopId, 'SN查询结果');
+            result.found.forEach(item => {
+                this.cache.lookupHits.set(item.return_sn, item);
+            });
+            this.saveLookupHits(shopId);
+        }
+
+        ShopeeUtils.addLogToUI(
+            `SN查询完成: 找到 ${result.found.length} 个，最近 ${this.config.lookupDays} 天内未查到 ${result.notFound.length} 个，` +
+            `失败 ${result.failed.length} 个`,
+            result.notFound.length > 0 || result.failed.length > 0 ? 'warning' : 'success'
+        );
+
+        return result;
+    },
+
+    /**
+     * 从检查点继续上次中断的爬取（使用相同的日期范围和筛选条件）
+     * @param {Object} control - 可选，JobController.start 返回的任务，用于暂停/取消
+     * @returns {Promise<Array>} 过滤后的数据数组
+     */
+    async resumeCrawl(control = null) {
+        try {
+            const checkpoint = this.getCheckpoint();
+            if (!checkpoint) {
+                throw new Error('没有可继续的爬取任务');
+            }
+
+            const { dateRange, crawlRange, filters, incremental } = checkpoint;
+
+            if (incremental && !this.canResumeIncrementally(checkpoint)) {
+                this.clearCheckpoint();
+                throw new Error('缓存已变化，无法继续增量爬取，请重新爬取');
+            }
+
+            await this.getAuthHeaders();
+
+            ShopeeUtils.addLogToUI(
+                `从第 ${checkpoint.windowIndex + 1} 个时间窗口第 ${checkpoint.page} 页继续爬取` +
+                `（已有 ${checkpoint.collected.length + checkpoint.data.length} 条原始数据）`,
+                'info'
+            );
+
+            const job = { dateRange, crawlRange, filters, incremental, shopId: ShopContext.getShopId() };
+            const crawlResult = await this.crawlWindows(
+                crawlRange,
+                filters,
+                {
+                    windowIndex: checkpoint.windowIndex,
+                    page: checkpoint.page,
+                    offset: checkpoint.offset,
+                    data: checkpoint.data,
+                    collected: checkpoint.collected,
+                    windowCounts: checkpoint.windowCounts
+                },
+                this.createCheckpointWriter(job, checkpoint),
+                control
+            );
+
+            return this.applyCrawlResult(crawlResult, job);
+
+        } catch (error) {
+            ShopeeUtils.showError(`继续爬取失败: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * 过滤爬取结果并更新缓存
+     * @param {Object} crawlResult - crawlWindows 的返回值
+     * @param {Object} job - {dateRange, crawlRange, filters, incremental, shopId}
+     * @returns {Array} 过滤后的数据数组
+     * @throws {Error} 爬取期间切换了店铺时抛出（检查点仍保存在原店铺下）
+     */
+    applyCrawlResult(crawlResult, job) {
+        const { dateRange, filters, incremental, shopId } = job;
+        const allData = crawlResult.data;
+
+        ShopContext.assertCurrentShop(shopId, '爬取结果');
+
+        if (crawlResult.complete) {
             ShopeeUtils.addLogToUI(`爬取完成！共获取 ${allData.length} 条原始数据`, 'success');
-            
-            const filteredData = this.filterValidData(allData);
-            ShopeeUtils.addLogToUI(`过滤后有效数据: ${filteredData.length} 条`, 'success');
+            this.clearCheckpoint(shopId);
+        } else if (crawlResult.cancelled) {
+            ShopeeUtils.addLogToUI(
+                `爬取已取消，已获取 ${allData.length} 条原始数据（不完整，可继续爬取）`,
+                'warning'
+            );
+        } else {
+            const windowText = crawlResult.windowCounts.length > 1 ? `第 ${crawlResult.failedWindow + 1} 个时间窗口` : '';
+            ShopeeUtils.addLogToUI(
+                `爬取未完成！在${windowText}第 ${crawlResult.failedPage} 页（offset ${crawlResult.failedOffset}）中断：` +
+                `${crawlResult.error}，已获取 ${allData.length} 条原始数据（不完整，可继续爬取）`,
+                'error'
+            );
+        }
+        
+        const filteredData = this.filterValidData(allData);
+        ShopeeUtils.addLogToUI(`过滤后有效数据: ${filteredData.length} 条`, 'success');
+
+        const previousKey = incremental ? this.getStorageKey(this.cache.shopId, this.cache.dateRange, this.cache.filters) : null;
+        const previousCount = this.cache.filteredData.length;
 
-            // 更新缓存
+        // 更新缓存
+        if (incremental) {
+            this.cache.rawData = this.mergeByReturnId(this.cache.rawData, allData);
+            this.cache.filteredData = this.mergeByReturnId(this.cache.filteredData, filteredData);
+            this.cache.dateRange = {
+                lower_value: Math.min(this.cache.dateRange.lower_value, dateRange.lower_value),
+                upper_value: dateRange.upper_value
+            };
+        } else {
             this.cache.rawData = allData;
             this.cache.filteredData = filteredData;
-            this.cache.lastUpdate = Date.now();
+            this.cache.dateRange = dateRange;
+        }
 
-            // 建立映射
-            this.cache.snToIdMap.clear();
-            filteredData.forEach(item => {
-                this.cache.snToIdMap.set(item.return_sn, item.return_id);
-            });
+        const latestCreateTime = this.getLatestCreateTime(allData);
+        if (latestCreateTime !== null && (!incremental || latestCreateTime > this.cache.latestCreateTime)) {
+            this.cache.latestCreateTime = latestCreateTime;
+        }
+
+        this.cache.lastUpdate = Date.now();
+        this.cache.crawlStatus = {
+            complete: crawlResult.complete,
+            failedPage: crawlResult.failedPage,
+            failedOffset: crawlResult.failedOffset,
+            failedWindow: crawlResult.failedWindow,
+            error: crawlResult.error,
+            cancelled: crawlResult.cancelled,
+            windows: crawlResult.windowCounts
+        };
+        this.cache.filters = filters;
+        this.cache.shopId = shopId;
+        this.cache.source = 'crawl';
+
+        // 建立映射
+        this.cache.snToIdMap.clear();
+        this.cache.filteredData.forEach(item => {
+            this.cache.snToIdMap.set(item.return_sn, item.return_id);
+        });
+
+        if (incremental) {
+            ShopeeUtils.addLogToUI(`增量合并: 新增 ${this.cache.filteredData.length - previousCount} 条`, 'success');
+        }
+        ShopeeUtils.addLogToUI(`建立映射关系: ${this.cache.snToIdMap.size} 个`, 'success');
+
+        // 增量爬取后日期范围可能变化，移除旧的持久化记录
+        if (previousKey && previousKey !== this.getStorageKey(this.cache.shopId, this.cache.dateRange, this.cache.filters)) {
+            ShopeeUtils.storageDelete(previousKey);
+        }
+        this.saveCacheToDisk();
+
+        return this.cache.filteredData;
+    },
+
+    /**
+     * 获取店铺的检查点键名
+     * @param {string} shopId - 店铺ID，默认当前店铺
+     * @returns {string}
+     */
+    getCheckpointKey(shopId = ShopContext.getShopId()) {
+        return `${this.config.checkpointPrefix}:${shopId}`;
+    },
+
+    /**
+     * 获取检查点中某一页数据的键名
+     * @param {string} shopId - 店铺ID
+     * @param {number} index - 页序号（从 0 开始，跨时间窗口连续编号）
+     * @returns {string}
+     */
+    getCheckpointPageKey(shopId, index) {
+        return `${this.getCheckpointKey(shopId)}:page:${index}`;
+    },
+
+    /**
+     * 创建每页爬取后保存检查点的回调
+     * 每页只写入该页新增的数据（单独的键）和很小的进度记录，写入量与页数成正比
+     * 检查点写入任务开始时的店铺，爬取期间切换店铺也不会写错位置
+     * @param {Object} job - {dateRange, crawlRange, filters, incremental, shopId}
+     * @param {Object} resumeFrom - 可选，继续爬取时的检查点（getCheckpoint 的返回值）
+     * @returns {Function}
+     */
+    createCheckpointWriter(job, resumeFrom = null) {
+        let pageCount = resumeFrom ? resumeFrom.pageCount : 0;
+        let savedWindow = resumeFrom ? resumeFrom.windowIndex : 0;
+        let savedInWindow = resumeFrom ? resumeFrom.data.length : 0;
+        let cleared = Boolean(resumeFrom);
 
-            ShopeeUtils.addLogToUI(`建立映射关系: ${this.cache.snToIdMap.size} 个`, 'success');
+        return (progress) => {
+            try {
+                // 新任务第一次保存前清除旧检查点的数据
+                if (!cleared) {
+                    this.clearCheckpoint(job.shopId);
+                    cleared = true;
+                }
+                if (progress.windowIndex !== savedWindow) {
+                    savedWindow = progress.windowIndex;
+                    savedInWindow = 0;
+                }
 
-            return filteredData;
+                const delta = progress.data.slice(savedInWindow);
+                if (delta.length > 0) {
+                    ShopeeUtils.storageSet(this.getCheckpointPageKey(job.shopId, pageCount), {
+                        windowIndex: progress.windowIndex,
+                        data: delta
+                    });
+                    pageCount++;
+                    savedInWindow = progress.data.length;
+                }
 
+                ShopeeUtils.storageSet(this.getCheckpointKey(job.shopId), {
+                    ...job,
+                    windowIndex: progress.windowIndex,
+                    page: progress.page,
+                    offset: progress.offset,
+                    windowCounts: progress.windowCounts,
+                    pageCount,
+                    savedAt: Date.now()
+                });
+            } catch (error) {
+                ShopeeUtils.log(`检查点保存失败: ${error.message}`, 'warning');
+            }
+        };
+    },
+
+    /**
+     * 读取当前店铺检查点的进度记录（不含数据），过期时删除
+     * @returns {Object|null}
+     */
+    getCheckpointHeader() {
+        const header = ShopeeUtils.storageGet(this.getCheckpointKey());
+        if (header && this.isCheckpointExpired(header)) {
+            this.clearCheckpoint();
+            return null;
+        }
+        return header;
+    },
+
+    /**
+     * 获取当前店铺未完成的爬取检查点（由各页数据拼合）
+     * @returns {Object|null} {dateRange, crawlRange, filters, incremental, windowIndex, page, offset, data, collected, windowCounts, pageCount, savedAt}
+     */
+    getCheckpoint() {
+        const header = this.getCheckpointHeader();
+        if (!header) return null;
+
+        const shopId = ShopContext.getShopId();
+        const windows = [];
+        for (let i = 0; i < header.pageCount; i++) {
+            const page = ShopeeUtils.storageGet(this.getCheckpointPageKey(shopId, i));
+            if (!page) continue;
+            windows[page.windowIndex] = (windows[page.windowIndex] || []).concat(page.data);
+        }
+
+        // 之前的窗口按爬取时的方式跨窗口去重，当前窗口的数据原样保留
+        let collected = [];
+        for (let i = 0; i < header.windowIndex; i++) {
+            collected = this.mergeByReturnId(collected, windows[i] || []);
+        }
+
+        return { ...header, collected, data: windows[header.windowIndex] || [] };
+    },
+
+    /**
+     * 判断检查点是否过期（与缓存使用相同的有效期）
+     * @param {Object} checkpoint - 检查点
+     * @returns {boolean}
+     */
+    isCheckpointExpired(checkpoint) {
+        return !checkpoint || !checkpoint.savedAt || Date.now() - checkpoint.savedAt > this.config.cacheTTL;
+    },
+
+    /**
+     * 是否有可继续的爬取任务
+     * @returns {boolean}
+     */
+    hasCheckpoint() {
+        return this.getCheckpointHeader() !== null;
+    },
+
+    /**
+     * 删除店铺的检查点（进度记录和各页数据）
+     * @param {string} shopId - 店铺ID，默认当前店铺
+     */
+    clearCheckpoint(shopId = ShopContext.getShopId()) {
+        const key = this.getCheckpointKey(shopId);
+        ShopeeUtils.storageKeys(`${key}:page:`).forEach(pageKey => ShopeeUtils.storageDelete(pageKey));
+        ShopeeUtils.storageDelete(key);
+    },
+
+    /**
+     * 生成持久化键名
+     * @param {string} shopId - 店铺ID
+     * @param {Object} dateRange - 日期范围
+     * @param {CrawlFilters} filters - 筛选条件
+     * @returns {string}
+     */
+    getStorageKey(shopId, dateRange, filters) {
+        return `${this.config.storagePrefix}:${shopId}:${dateRange.lower_value}-${dateRange.upper_value}:${this.getFiltersKey(filters)}`;
+    },
+
+    /**
+     * 将当前缓存写入持久化存储
+     */
+    saveCacheToDisk() {
+        if (!this.cache.dateRange || !this.cache.shopId) return;
+
+        try {
+            ShopeeUtils.storageSet(this.getStorageKey(this.cache.shopId, this.cache.dateRange, this.cache.filters), {
+                shopId: this.cache.shopId,
+                dateRange: this.cache.dateRange,
+                filters: this.cache.filters,
+                lastUpdate: this.cache.lastUpdate,
+                latestCreateTime: this.cache.latestCreateTime,
+                crawlStatus: this.cache.crawlStatus,
+                filteredData: this.cache.filteredData,
+                snToIdMap: Array.from(this.cache.snToIdMap.entries())
+            });
         } catch (error) {
-            ShopeeUtils.showError(`订单爬取失败: ${error.message}`);
-            throw error;
+            ShopeeUtils.addLogToUI(`缓存保存失败: ${error.message}`, 'warning');
+        }
+    },
+
+    /**
+     * 持久化按SN查询到的记录
+     * @param {string} shopId - 店铺ID
+     */
+    saveLookupHits(shopId) {
+        try {
+            ShopeeUtils.storageSet(`${this.config.lookupPrefix}:${shopId}`, {
+                lastUpdate: Date.now(),
+                records: Array.from(this.cache.lookupHits.values())
+            });
+        } catch (error) {
+            ShopeeUtils.addLogToUI(`SN查询结果保存失败: ${error.message}`, 'warning');
         }
     },
 
+    /**
+     * 恢复当前店铺按SN查询到的记录（与爬取缓存使用相同的有效期）
+     */
+    loadLookupHits() {
+        const entry = ShopeeUtils.storageGet(`${this.config.lookupPrefix}:${ShopContext.getShopId()}`);
+        if (this.isCacheExpired(entry)) return;
+
+        this.cache.lookupHits = new Map((entry.records || []).map(item => [item.return_sn, item]));
+    },
+
+    /**
+     * 判断持久化记录是否过期
+     * @param {Object} entry - 持久化记录
+     * @returns {boolean}
+     */
+    isCacheExpired(entry) {
+        return !entry || !entry.lastUpdate || Date.now() - entry.lastUpdate > this.config.cacheTTL;
+    },
+
+    /**
+     * 将持久化记录载入内存缓存
+     * @param {Object} entry - 持久化记录
+     */
+    applyCacheEntry(entry) {
+        this.cache.rawData = [];
+        this.cache.filteredData = entry.filteredData || [];
+        this.cache.snToIdMap = new Map(entry.snToIdMap || []);
+        this.cache.lastUpdate = entry.lastUpdate;
+        this.cache.latestCreateTime = entry.latestCreateTime || null;
+        this.cache.crawlStatus = entry.crawlStatus || null;
+        this.cache.dateRange = entry.dateRange;
+        this.cache.filters = entry.filters || null;
+        this.cache.shopId = entry.shopId;
+        this.cache.source = 'disk';
+    },
+
+    /**
+     * 从持久化存储恢复指定日期范围的缓存
+     * @param {Object} dateRange - 日期范围
+     * @param {CrawlFilters} filters - 筛选条件
+     * @returns {boolean} 是否恢复成功
+     */
+    loadCacheFromDisk(dateRange, filters = null) {
+        const key = this.getStorageKey(ShopContext.getShopId(), dateRange, filters);
+        const entry = ShopeeUtils.storageGet(key);
+
+        if (!entry) return false;
+
+        if (this.isCacheExpired(entry)) {
+            ShopeeUtils.storageDelete(key);
+            return false;
+        }
+
+        this.applyCacheEntry(entry);
+        ShopeeUtils.addLogToUI(`已从本地恢复缓存: ${this.cache.snToIdMap.size} 个映射`, 'success');
+        return true;
+    },
+
+    /**
+     * 恢复当前店铺最近一次的缓存（页面加载时调用）
+     * @returns {boolean} 是否恢复成功
+     */
+    restoreLatestCache() {
+        this.purgeExpiredCache();
+
+        const prefix = `${this.config.storagePrefix}:${ShopContext.getShopId()}:`;
+        let latest = null;
+
+        ShopeeUtils.storageKeys(prefix).forEach(key => {
+            const entry = ShopeeUtils.storageGet(key);
+            if (entry && (!latest || entry.lastUpdate > latest.lastUpdate)) {
+                latest = entry;
+            }
+        });
+
+        this.loadLookupHits();
+        if (!latest) return false;
+
+        this.applyCacheEntry(latest);
+        ShopeeUtils.addLogToUI(
+            `已从本地恢复缓存: ${this.cache.snToIdMap.size} 个映射（${new Date(latest.lastUpdate).toLocaleString()}）`,
+            'success'
+        );
+        return true;
+    },
+
+    /**
+     * 清理过期的持久化缓存和检查点
+     */
+    purgeExpiredCache() {
+        [this.config.storagePrefix, this.config.lookupPrefix].forEach(prefix => {
+            ShopeeUtils.storageKeys(`${prefix}:`).forEach(key => {
+                if (this.isCacheExpired(ShopeeUtils.storageGet(key))) {
+                    ShopeeUtils.storageDelete(key);
+                }
+            });
+        });
+        // 各页数据随所属的进度记录一起过期
+        ShopeeUtils.storageKeys(`${this.config.checkpointPrefix}:`).forEach(key => {
+            if (this.isCheckpointExpired(ShopeeUtils.storageGet(key.split(':page:')[0]))) {
+                ShopeeUtils.storageDelete(key);
+            }
+        });
+    },
+
     /**
      * 获取缓存数据
      * @returns {Array}
@@ -335,21 +1238,75 @@ const OrderCrawler = {
     },
 
     /**
-     * 获取缓存映射
+     * 获取缓存数据所属的店铺ID
+     * @returns {string|null}
+     */
+    getCachedShopId() {
+        return this.cache.shopId;
+    },
+
+    /**
+     * 获取最近一次爬取的状态
+     * @returns {Object|null} {complete, failedPage, failedOffset, failedWindow, error, cancelled, windows}
+     */
+    getCrawlStatus() {
+        return this.cache.crawlStatus;
+    },
+
+    /**
+     * 获取用于匹配的SN -> ID 映射（爬取缓存 + 按SN查询到的记录）
      * @returns {Map}
      */
     getCachedMap() {
-        return this.cache.snToIdMap;
+        if (this.cache.lookupHits.size === 0) {
+            return this.cache.snToIdMap;
+        }
+
+        const map = new Map(this.cache.snToIdMap);
+        this.cache.lookupHits.forEach((item, sn) => {
+            if (!map.has(sn)) map.set(sn, item.return_id);
+        });
+        return map;
+    },
+
+    /**
+     * 获取用于匹配的SN到完整记录的映射（爬取缓存 + 按SN查询到的记录）
+     * @returns {Map}
+     */
+    getCachedRecordMap() {
+        const map = new Map(this.cache.lookupHits);
+        this.cache.filteredData.forEach(item => map.set(item.return_sn, item));
+        return map;
+    },
+
+    /**
+     * 获取按SN查询到的记录
+     * @returns {Array}
+     */
+    getLookupHits() {
+        return Array.from(this.cache.lookupHits.values());
     },
 
     /**
      * 清空缓存
      */
     clearCache() {
+        if (this.cache.dateRange && this.cache.shopId) {
+            ShopeeUtils.storageDelete(this.getStorageKey(this.cache.shopId, this.cache.dateRange, this.cache.filters));
+        }
+
         this.cache.rawData = [];
         this.cache.filteredData = [];
         this.cache.snToIdMap.clear();
         this.cache.lastUpdate = null;
+        this.cache.latestCreateTime = null;
+        this.cache.crawlStatus = null;
+        this.cache.dateRange = null;
+        this.cache.filters = null;
+        this.cache.shopId = null;
+        this.cache.source = null;
+        this.cache.lookupHits.clear();
+        ShopeeUtils.storageDelete(`${this.config.lookupPrefix}:${ShopContext.getShopId()}`);
         ShopeeUtils.addLogToUI('缓存已清空', 'info');
     },
 
@@ -362,11 +1319,31 @@ const OrderCrawler = {
             rawDataCount: this.cache.rawData.length,
             filteredDataCount: this.cache.filteredData.length,
             mappingCount: this.cache.snToIdMap.size,
-            lastUpdate: this.cache.lastUpdate ? new Date(this.cache.lastUpdate).toLocaleString() : '无'
+            lookupCount: this.cache.lookupHits.size,
+            lastUpdate: this.cache.lastUpdate ? new Date(this.cache.lastUpdate).toLocaleString() : '无',
+            source: this.cache.source || '无',
+            shopId: this.cache.shopId,
+            dateRange: this.cache.dateRange,
+            filters: this.cache.filters,
+            complete: this.cache.crawlStatus ? this.cache.crawlStatus.complete : null,
+            crawlStatus: this.cache.crawlStatus
         };
     }
 };
 
+/**
+ * 爬取筛选条件（对应 get_exceptional_case_list 请求参数）
+ * @typedef {Object} CrawlFilters
+ * @property {string|null} keyword - 关键字（Return SN / 订单号等）
+ * @property {number[]} returnReasons - 退货原因代码 (return_reasons)
+ * @property {number[]} reverseLogisticsStatuses - 退货物流状态代码 (reverse_logistics_statuses)
+ * @property {number[]} sellerRequestStatuses - 卖家请求状态代码 (seller_request_statuses)
+ * @property {number|null} refundAmountMin - 最低退款金额
+ * @property {number|null} refundAmountMax - 最高退款金额
+ * @property {number} flowTab - 流程标签 (flow_tab)
+ * @property {number} caseTab - 案例标签 (case_tab)
+ */
+
 // 导出模块
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = OrderCrawler;
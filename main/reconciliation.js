@@ -0,0 +1,159 @@
+// ==UserScript==
+// @name         Shopee工具-对账模块
+// @namespace    http://tampermonkey.net/
+// @version      1.0
+// @description  对比实物签收的SN与Shopee退货列表，生成对账报告
+// @author       You
+// @require      utils.js
+// @require      shopContext.js
+// ==/UserScript==
+
+/**
+ * 对账模块
+ * 功能：
+ * 1. 对比 Shopee 退货列表（OrderCrawler.getCachedData）与实物扫描的SN
+ * 2. 分为三类：已收到 / Shopee有但未收到 / 扫描到但Shopee没有
+ * 3. 按仓库统计数量
+ * 4. 导出各分类清单
+ */
+const Reconciliation = {
+    // 分类定义
+    buckets: {
+        received: '已收到',
+        missing: 'Shopee有但未收到',
+        unknown: '扫描到但Shopee没有'
+    },
+
+    // 最近一次对账结果（记录所属店铺，切换店铺后不再返回）
+    report: null,
+
+    /**
+     * 生成对账报告
+     * @param {Array} crawledData - Shopee 退货记录 [{return_sn, return_id, ...}]
+     * @param {Array} scannedSns - 实物扫描的SN
+     * @param {Function} resolveWarehouse - 可选，(returnSn, record) => 仓库代码
+     * @returns {Object} {received, missing, unknown, counts, byWarehouse, shopId, createdAt}
+     */
+    build(crawledData, scannedSns, resolveWarehouse = null) {
+        const scannedSet = new Set(scannedSns || []);
+        const crawledMap = new Map((crawledData || []).map(item => [item.return_sn, item]));
+        const warehouseOf = (sn, record) => (resolveWarehouse && resolveWarehouse(sn, record)) || '未识别';
+
+        const received = [];
+        const missing = [];
+        const unknown = [];
+
+        crawledMap.forEach((record, sn) => {
+            const row = { ...record, warehouse: warehouseOf(sn, record) };
+            if (scannedSet.has(sn)) {
+                received.push(row);
+            } else {
+                missing.push(row);
+            }
+        });
+
+        scannedSet.forEach(sn => {
+            if (!crawledMap.has(sn)) {
+                unknown.push({ return_sn: sn });
+            }
+        });
+
+        // 按仓库统计（扫描到但Shopee没有的记录无法识别仓库，不计入）
+        const byWarehouse = {};
+        const count = (rows, bucket) => {
+            rows.forEach(row => {
+                if (!byWarehouse[row.warehouse]) {
+                    byWarehouse[row.warehouse] = { received: 0, missing: 0 };
+                }
+                byWarehouse[row.warehouse][bucket]++;
+            });
+        };
+        count(received, 'received');
+        count(missing, 'missing');
+
+        this.report = {
+            received,
+            missing,
+            unknown,
+            counts: {
+                crawled: crawledMap.size,
+                scanned: scannedSet.size,
+                received: received.length,
+                missing: missing.length,
+                unknown: unknown.length
+            },
+            byWarehouse,
+            shopId: ShopContext.getShopId(),
+            createdAt: Date.now()
+        };
+
+        ShopeeUtils.addLogToUI(
+            `对账完成: 已收到 ${received.length}，未收到 ${missing.length}，Shopee无记录 ${unknown.length}`,
+            missing.length > 0 || unknown.length > 0 ? 'warning' : 'success'
+        );
+
+        return this.report;
+    },
+
+    /**
+     * 找出 Shopee 有但未收到的记录
+     * @param {Array} crawledData - Shopee 退货记录
+     * @param {Array} scannedSns - 实物扫描的SN
+     * @returns {Array}
+     */
+    findMissing(crawledData, scannedSns) {
+        const scannedSet = new Set(scannedSns || []);
+        return (crawledData || []).filter(item => !scannedSet.has(item.return_sn));
+    },
+
+    /**
+     * 获取最近一次对账结果
+     * @returns {Object|null}
+     */
+    getReport() {
+        return this.report && this.report.shopId === ShopContext.getShopId() ? this.report : null;
+    },
+
+    /**
+     * 导出单个分类
+     * @param {string} bucket - received | missing | unknown
+     */
+    exportBucket(bucket) {
+        const report = this.getReport();
+        if (!report || !this.buckets[bucket]) {
+            ShopeeUtils.showError('没有可导出的对账结果');
+            return;
+        }
+
+        const rows = report[bucket];
+        if (rows.length === 0) {
+            ShopeeUtils.showError(`"${this.buckets[bucket]}" 没有数据`);
+            return;
+        }
+
+        ShopeeUtils.downloadCSV(ShopeeUtils.generateCSV(rows), ShopContext.buildFilename(`reconciliation_${bucket}`, 'csv'));
+    },
+
+    /**
+     * 导出全部分类（增加 bucket 列）
+     */
+    exportAll() {
+        const report = this.getReport();
+        if (!report) {
+            ShopeeUtils.showError('没有可导出的对账结果');
+            return;
+        }
+
+        const rows = [];
+        Object.entries(this.buckets).forEach(([bucket, label]) => {
+            report[bucket].forEach(row => rows.push({ bucket: label, ...row }));
+        });
+
+        ShopeeUtils.downloadCSV(ShopeeUtils.generateCSV(rows), ShopContext.buildFilename('reconciliation', 'csv'));
+    }
+};
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Reconciliation;
+}
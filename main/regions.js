@@ -0,0 +1,117 @@
+// ==UserScript==
+// @name         Shopee工具-站点配置模块
+// @namespace    http://tampermonkey.net/
+// @version      1.0
+// @description  各站点（ID/MY/TH/PH/VN）的域名、语言、时区和仓库规则
+// @author       You
+// ==/UserScript==
+
+/**
+ * 站点配置模块
+ * 功能：
+ * 1. 定义各站点的卖家中心域名、接口语言、本地化设置和仓库规则
+ * 2. 根据 location.host 自动识别当前站点
+ * 3. 提供拼接接口和页面URL的工具方法
+ */
+const ShopeeRegions = {
+    // 站点配置
+    profiles: {
+        ID: {
+            code: 'ID',
+            name: 'Indonesia',
+            host: 'seller.shopee.co.id',
+            language: 'id',
+            locale: 'id-ID',
+            timeZone: 'Asia/Jakarta',
+            // 仓库识别规则：邮编 -> 仓库代码
+            warehouseRules: {
+                '50121': 'BI SMR',  // Semarang
+                '61254': 'BI SBY',  // Surabaya
+                '14460': 'BI JKT'   // Jakarta
+            }
+        },
+        MY: {
+            code: 'MY',
+            name: 'Malaysia',
+            host: 'seller.shopee.com.my',
+            language: 'en',
+            locale: 'ms-MY',
+            timeZone: 'Asia/Kuala_Lumpur',
+            warehouseRules: {}
+        },
+        TH: {
+            code: 'TH',
+            name: 'Thailand',
+            host: 'seller.shopee.co.th',
+            language: 'th',
+            locale: 'th-TH',
+            timeZone: 'Asia/Bangkok',
+            warehouseRules: {}
+        },
+        PH: {
+            code: 'PH',
+            name: 'Philippines',
+            host: 'seller.shopee.ph',
+            language: 'en',
+            locale: 'en-PH',
+            timeZone: 'Asia/Manila',
+            warehouseRules: {}
+        },
+        VN: {
+            code: 'VN',
+            name: 'Vietnam',
+            host: 'banhang.shopee.vn',
+            language: 'vi',
+            locale: 'vi-VN',
+            timeZone: 'Asia/Ho_Chi_Minh',
+            warehouseRules: {}
+        }
+    },
+
+    // 无法识别时使用的站点
+    defaultRegion: 'ID',
+
+    /**
+     * 根据域名识别站点
+     * @param {string} host - 域名
+     * @returns {Object|null} 站点配置
+     */
+    detectRegion(host) {
+        if (!host) return null;
+
+        return Object.values(this.profiles).find(profile => (
+            host === profile.host || host.endsWith(`.${profile.host}`)
+        )) || null;
+    },
+
+    /**
+     * 获取当前站点配置
+     * @returns {Object}
+     */
+    getCurrent() {
+        const host = typeof location !== 'undefined' ? location.host : '';
+        return this.detectRegion(host) || this.profiles[this.defaultRegion];
+    },
+
+    /**
+     * 获取当前站点的卖家中心根地址
+     * @returns {string}
+     */
+    getBaseUrl() {
+        return `https://${this.getCurrent().host}`;
+    },
+
+    /**
+     * 拼接当前站点的完整URL
+     * @param {string} path - 以 / 开头的路径
+     * @returns {string}
+     */
+    buildUrl(path) {
+        return `${this.getBaseUrl()}${path}`;
+    }
+};
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShopeeRegions;
+}
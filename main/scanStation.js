@@ -0,0 +1,281 @@
+// ==UserScript==
+// @name         Shopee工具-扫码签收模块
+// @namespace    http://tampermonkey.net/
+// @version      1.0
+// @description  USB扫码枪签收模式：识别快速按键输入，实时匹配并给出声音/视觉反馈
+// @author       You
+// @require      utils.js
+// @require      shopContext.js
+// @require      orderCrawler.js
+// @require      snMatcher.js
+// ==/UserScript==
+
+/**
+ * 扫码签收模块
+ * 功能：
+ * 1. 捕获扫码枪的快速按键输入（以回车结束）
+ * 2. 用 ShopeeUtils.validateReturnSn 校验，实时与 OrderCrawler.getCachedMap() 匹配
+ * 3. 按 匹配/重复/未知/无效 给出声音和视觉反馈
+ * 4. 统计本次签收并导出（签收记录按店铺分别保存）
+ */
+const ScanStation = {
+    // 配置
+    config: {
+        maxKeyInterval: 50,   // 扫码枪相邻按键的最大间隔（毫秒），超过视为人工输入
+        minLength: 3,         // 最短有效输入
+        sound: true           // 是否播放提示音
+    },
+
+    // 扫描结果类型
+    statuses: {
+        matched: '匹配',
+        duplicate: '重复',
+        unknown: '未知',
+        invalid: '无效'
+    },
+
+    // 运行状态
+    state: {
+        active: false,
+        buffer: '',
+        lastKeyTime: 0,
+        onScan: null,         // 扫描回调 (scan) => void
+        keyHandler: null
+    },
+
+    // 按店铺隔离的签收记录: 店铺ID -> 签收记录
+    shopSessions: new Map(),
+
+    /**
+     * 当前店铺的本次签收记录
+     * @returns {Object}
+     */
+    get session() {
+        return ShopContext.getShopCache(this.shopSessions, () => ({
+            scans: [],            // [{return_sn, return_id, status, time}]
+            seen: new Set(),      // 已扫描的SN
+            startedAt: this.state.active ? Date.now() : null
+        }));
+    },
+
+    // 音频上下文（首次使用时创建）
+    audioContext: null,
+
+    /**
+     * 开启扫码模式
+     * @param {Function} onScan - 每次扫描后的回调
+     */
+    start(onScan = null) {
+        if (this.state.active) return;
+
+        this.state.active = true;
+        this.state.onScan = onScan;
+        this.state.buffer = '';
+        if (!this.session.startedAt) {
+            this.session.startedAt = Date.now();
+        }
+
+        this.state.keyHandler = (event) => this.handleKeydown(event);
+        document.addEventListener('keydown', this.state.keyHandler, true);
+
+        if (OrderCrawler.getCachedMap().size === 0) {
+            ShopeeUtils.addLogToUI('当前没有爬取数据，所有扫描都会显示为未知', 'warning');
+        }
+        ShopeeUtils.addLogToUI('扫码模式已开启', 'success');
+    },
+
+    /**
+     * 关闭扫码模式
+     */
+    stop() {
+        if (!this.state.active) return;
+
+        document.removeEventListener('keydown', this.state.keyHandler, true);
+        this.state.active = false;
+        this.state.keyHandler = null;
+        this.state.buffer = '';
+        ShopeeUtils.addLogToUI('扫码模式已关闭', 'info');
+    },
+
+    /**
+     * 判断按键目标是否为可编辑元素（输入框、文本框、下拉框或可编辑区域）
+     * @param {EventTarget} target - 事件目标
+     * @returns {boolean}
+     */
+    isEditableTarget(target) {
+        if (!target) return false;
+        if (target.isContentEditable) return true;
+        const tagName = (target.tagName || '').toUpperCase();
+        return tagName === 'INPUT' || tagName === 'TEXTAREA' || tagName === 'SELECT';
+    },
+
+    /**
+     * 处理按键：间隔很短的连续按键累积为一次扫描，回车结束
+     * 焦点在可编辑元素中时按键属于该元素，不作为扫描处理
+     * @param {KeyboardEvent} event - 键盘事件
+     */
+    handleKeydown(event) {
+        const now = Date.now();
+
+        if (this.isEditableTarget(event.target)) {
+            this.state.buffer = '';
+            return;
+        }
+
+        if (event.key === 'Enter') {
+            const isBurst = now - this.state.lastKeyTime <= this.config.maxKeyInterval * 2;
+            if (this.state.buffer.length >= this.config.minLength && isBurst) {
+                // 阻止回车提交表单或在输入框中换行
+                event.preventDefault();
+                event.stopPropagation();
+                this.processScan(this.state.buffer);
+            }
+            this.state.buffer = '';
+            return;
+        }
+
+        if (event.key.length !== 1 || event.ctrlKey || event.metaKey || event.altKey) {
+            return;
+        }
+
+        if (now - this.state.lastKeyTime > this.config.maxKeyInterval) {
+            this.state.buffer = '';
+        }
+        this.state.buffer += event.key;
+        this.state.lastKeyTime = now;
+    },
+
+    /**
+     * 处理一次扫描
+     * @param {string} raw - 扫描得到的原始文本
+     * @returns {Object} 扫描记录
+     */
+    processScan(raw) {
+        const sn = SNMatcher.normalizeSn(raw);
+        const crawledMap = OrderCrawler.getCachedMap();
+
+        let status;
+        if (!ShopeeUtils.validateReturnSn(sn)) {
+            status = 'invalid';
+        } else if (this.session.seen.has(sn)) {
+            status = 'duplicate';
+        } else if (crawledMap.has(sn)) {
+            status = 'matched';
+        } else {
+            status = 'unknown';
+        }
+
+        if (status !== 'invalid') {
+            this.session.seen.add(sn);
+        }
+
+        const scan = {
+            return_sn: sn,
+            return_id: crawledMap.get(sn) || null,
+            status: status,
+            time: new Date().toLocaleString()
+        };
+        this.session.scans.push(scan);
+
+        ShopeeUtils.addLogToUI(
+            `扫描 ${sn}: ${this.statuses[status]}`,
+            status === 'matched' ? 'success' : status === 'duplicate' ? 'warning' : 'error'
+        );
+        this.playFeedback(status);
+
+        if (this.state.onScan) {
+            this.state.onScan(scan);
+        }
+
+        return scan;
+    },
+
+    /**
+     * 播放提示音：匹配为短高音，重复为两声中音，未知/无效为长低音
+     * @param {string} status - 扫描结果类型
+     */
+    playFeedback(status) {
+        if (!this.config.sound) return;
+
+        try {
+            if (!this.audioContext) {
+                this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            }
+
+            const tones = {
+                matched: [[880, 0, 0.12]],
+                duplicate: [[520, 0, 0.1], [520, 0.15, 0.1]],
+                unknown: [[220, 0, 0.4]],
+                invalid: [[180, 0, 0.4]]
+            };
+
+            const start = this.audioContext.currentTime;
+            tones[status].forEach(([frequency, offset, duration]) => {
+                const oscillator = this.audioContext.createOscillator();
+                const gain = this.audioContext.createGain();
+                oscillator.frequency.value = frequency;
+                gain.gain.value = 0.2;
+                oscillator.connect(gain);
+                gain.connect(this.audioContext.destination);
+                oscillator.start(start + offset);
+                oscillator.stop(start + offset + duration);
+            });
+        } catch (e) {
+            // 浏览器不支持音频时忽略
+        }
+    },
+
+    /**
+     * 获取本次签收统计
+     * @returns {Object} {total, matched, duplicate, unknown, invalid}
+     */
+    getTally() {
+        const tally = { total: this.session.scans.length };
+        Object.keys(this.statuses).forEach(status => {
+            tally[status] = this.session.scans.filter(scan => scan.status === status).length;
+        });
+        return tally;
+    },
+
+    /**
+     * 获取本次签收扫描到的有效SN（去重）
+     * @returns {Array}
+     */
+    getScannedSns() {
+        return Array.from(this.session.seen);
+    },
+
+    /**
+     * 导出本次签收记录
+     */
+    exportSession() {
+        if (this.session.scans.length === 0) {
+            ShopeeUtils.showError('本次签收还没有扫描记录');
+            return;
+        }
+
+        const rows = this.session.scans.map(scan => ({
+            ...scan,
+            status: this.statuses[scan.status]
+        }));
+        ShopeeUtils.downloadCSV(
+            ShopeeUtils.generateCSV(rows),
+            ShopContext.buildFilename('scan_session', 'csv', this.session.startedAt)
+        );
+    },
+
+    /**
+     * 清空本次签收记录
+     */
+    resetSession() {
+        this.session.scans = [];
+        this.session.seen.clear();
+        this.session.startedAt = this.state.active ? Date.now() : null;
+        ShopeeUtils.addLogToUI('签收记录已清空', 'info');
+    }
+};
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScanStation;
+}
@@ -0,0 +1,220 @@
+// ==UserScript==
+// @name         Shopee工具-店铺上下文模块
+// @namespace    http://tampermonkey.net/
+// @version      1.0
+// @description  多店铺支持：确定当前店铺、按店铺隔离缓存和导出、防止跨店铺匹配
+// @author       You
+// @require      regions.js
+// @require      utils.js
+// @require      authManager.js
+// @grant        GM_getValue
+// @grant        GM_setValue
+// ==/UserScript==
+
+/**
+ * 店铺上下文模块
+ * 功能：
+ * 1. 当前店铺 = 面板中选择的店铺，未选择时跟随页面（URL 参数或页面请求中的 cnsc_shop_id）
+ *    任务运行期间锁定为任务开始时的店铺，页面切换店铺不影响进行中的任务
+ * 2. 各模块的内存缓存按店铺ID分别保存（getShopCache），切换店铺不会混用数据
+ * 3. 记住出现过的店铺，供面板选择
+ * 4. 导出文件名带店铺ID；任务结束时店铺已变化（爬取、SN查询结果）则拒绝写入
+ *
+ * 注意：选择的店铺必须属于当前登录的账号。请求只替换 cnsc_shop_id，
+ * SPC_CDS 和认证头仍来自页面，选择其他账号的店铺会被接口拒绝或返回错误的数据。
+ */
+const ShopContext = {
+    // 配置
+    config: {
+        storageKey: 'shopee_tool_shops', // 已知店铺列表的持久化键名
+        urlParams: ['cnsc_shop_id', 'shop_id'], // 页面URL中表示店铺的参数（按优先级）
+        defaultShopId: 'default'          // 无法确定店铺时使用的ID
+    },
+
+    // 状态
+    state: {
+        selectedId: null, // 面板中选择的店铺，null 表示跟随页面
+        lockedId: null,   // 任务运行期间锁定的店铺
+        lastShopId: null  // 最近一次通知时的店铺ID（用于检测页面切换店铺）
+    },
+
+    // 店铺变化监听 (shopId) => void
+    listeners: [],
+
+    /**
+     * 获取页面当前的店铺ID
+     * @returns {string|null}
+     */
+    getPageShopId() {
+        const params = new URLSearchParams(window.location.search);
+        for (const name of this.config.urlParams) {
+            if (params.get(name)) {
+                return params.get(name);
+            }
+        }
+        return AuthManager.getCapturedShopId();
+    },
+
+    /**
+     * 获取当前店铺ID
+     * @returns {string}
+     */
+    getShopId() {
+        return this.state.lockedId || this.state.selectedId || this.getPageShopId() || this.config.defaultShopId;
+    },
+
+    /**
+     * 锁定当前店铺（任务开始时调用）
+     * @returns {string} 锁定的店铺ID
+     */
+    lock() {
+        this.state.lockedId = this.getShopId();
+        return this.state.lockedId;
+    },
+
+    /**
+     * 解除锁定（任务结束时调用），期间页面切换过店铺时会通知监听者
+     */
+    unlock() {
+        this.state.lockedId = null;
+        this.refresh();
+    },
+
+    /**
+     * 是否手动选择了店铺（不跟随页面）
+     * @returns {boolean}
+     */
+    isSelected() {
+        return this.state.selectedId !== null;
+    },
+
+    /**
+     * 选择店铺
+     * @param {string|null} shopId - 店铺ID，null 表示跟随页面
+     */
+    select(shopId) {
+        if (this.state.lockedId) {
+            throw new Error('任务运行中，无法切换店铺');
+        }
+        this.state.selectedId = shopId ? String(shopId) : null;
+        if (shopId) {
+            this.rememberShop(shopId);
+        }
+        this.refresh();
+    },
+
+    /**
+     * 检查当前店铺是否变化，变化时通知监听者
+     * 页面通过店铺切换器切换后，新的页面请求会更新捕获的 cnsc_shop_id，随后调用此方法
+     */
+    refresh() {
+        const shopId = this.getShopId();
+        const pageShopId = this.getPageShopId();
+        if (pageShopId) {
+            this.rememberShop(pageShopId);
+        }
+
+        if (shopId === this.state.lastShopId) return;
+
+        const previous = this.state.lastShopId;
+        this.state.lastShopId = shopId;
+        if (previous !== null) {
+            ShopeeUtils.addLogToUI(`当前店铺已切换: ${previous} → ${shopId}`, 'warning');
+        }
+        this.listeners.forEach(listener => listener(shopId));
+    },
+
+    /**
+     * 获取出现过的店铺列表（按最近使用排序）
+     * @returns {Array} [{id, name, lastSeen}]
+     */
+    getKnownShops() {
+        return ShopeeUtils.storageGet(this.config.storageKey, [])
+            .sort((a, b) => b.lastSeen - a.lastSeen);
+    },
+
+    /**
+     * 记住店铺
+     * @param {string} shopId - 店铺ID
+     * @param {string} name - 可选，店铺名称
+     */
+    rememberShop(shopId, name = null) {
+        const id = String(shopId);
+        const shops = ShopeeUtils.storageGet(this.config.storageKey, []);
+        const existing = shops.find(shop => shop.id === id);
+
+        if (existing) {
+            existing.lastSeen = Date.now();
+            if (name) existing.name = name;
+        } else {
+            shops.push({ id, name: name || null, lastSeen: Date.now() });
+        }
+
+        ShopeeUtils.storageSet(this.config.storageKey, shops);
+    },
+
+    /**
+     * 获取接口请求需附加的店铺参数
+     * 手动选择或任务锁定店铺时用 cnsc_shop_id 指定，否则由页面捕获的参数决定
+     * 只覆盖 cnsc_shop_id，SPC_CDS 和认证头仍是页面登录账号的，因此只能切换到同一账号下的店铺
+     * @returns {Object}
+     */
+    getRequestParams() {
+        const shopId = this.state.lockedId || this.state.selectedId;
+        return shopId && shopId !== this.config.defaultShopId ? { cnsc_shop_id: shopId } : {};
+    },
+
+    /**
+     * 获取当前店铺的缓存，不存在时创建
+     * @param {Map} caches - 店铺ID -> 缓存
+     * @param {Function} create - 创建空缓存
+     * @returns {Object}
+     */
+    getShopCache(caches, create) {
+        const shopId = this.getShopId();
+        if (!caches.has(shopId)) {
+            caches.set(shopId, create());
+        }
+        return caches.get(shopId);
+    },
+
+    /**
+     * 确认数据属于当前店铺，不一致时抛出错误
+     * 用于异步任务结束时：任务开始时记录的店铺与写入时的当前店铺必须一致
+     * @param {string|null} shopId - 数据所属的店铺ID（null 表示未知，不检查）
+     * @param {string} label - 数据名称（用于提示）
+     * @throws {Error}
+     */
+    assertCurrentShop(shopId, label) {
+        const current = this.getShopId();
+        if (shopId && shopId !== current) {
+            const error = new Error(`${label}属于店铺 ${shopId}，当前店铺为 ${current}，已拒绝跨店铺处理`);
+            error.crossShop = true;
+            throw error;
+        }
+    },
+
+    /**
+     * 生成带店铺ID的导出文件名
+     * @param {string} prefix - 文件名前缀
+     * @param {string} extension - 扩展名（不含点）
+     * @param {string|number} suffix - 可选，默认当前时间戳
+     * @returns {string}
+     */
+    buildFilename(prefix, extension, suffix = Date.now()) {
+        return `${prefix}_${this.getShopId()}_${suffix}.${extension}`;
+    },
+
+    /**
+     * 监听当前店铺变化
+     * @param {Function} listener - (shopId) => void
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+};
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShopContext;
+}
@@ -4,24 +4,196 @@
 // @version      1.0
 // @description  负责用户输入的return_sn与爬取数据的匹配
 // @author       You
+// @require      regions.js
 // @require      utils.js
+// @require      shopContext.js
 // ==/UserScript==
 
 /**
  * Return SN 匹配模块
  * 功能：
- * 1. 解析用户输入的return_sn列表
+ * 1. 解析用户输入的return_sn列表（支持表格粘贴和自由文本）
  * 2. 与OrderCrawler获取的数据进行匹配
  * 3. 返回匹配的return_id列表
  * 4. 缓存匹配结果
  */
 const SNMatcher = {
-    // 缓存
-    cache: {
-        userInput: [],        // 用户输入的SN列表
-        matchedResults: [],   // 匹配成功的结果
-        unmatchedSns: [],     // 未匹配的SN列表
-        snToIdMap: new Map()  // 匹配的映射关系
+    // 配置
+    config: {
+        minTableRows: 3,                         // 视为表格输入的最少行数
+        snHeaderPattern: /return\s*sn|退货\s*sn|^sn$/i // 列命中数相同时优先的表头
+    },
+
+    // 按店铺隔离的缓存: 店铺ID -> 缓存
+    shopCaches: new Map(),
+
+    /**
+     * 当前店铺的缓存
+     * @returns {Object}
+     */
+    get cache() {
+        return ShopContext.getShopCache(this.shopCaches, () => ({
+            userInput: [],        // 用户输入的SN列表
+            matchedResults: [],   // 匹配成功的结果
+            unmatchedSns: [],     // 未匹配的SN列表
+            snToIdMap: new Map(), // 匹配的映射关系
+            parseReport: null,    // 最近一次解析的明细
+            inputExtras: new Map() // 导入文件中SN对应的其他列
+        }));
+    },
+
+    /**
+     * 规范化单个SN（去除空白和不可见字符、转大写）
+     * @param {string} token - 原始文本
+     * @returns {string}
+     */
+    normalizeSn(token) {
+        return String(token).replace(/[\s\u200B-\u200D\uFEFF]+/g, '').toUpperCase();
+    },
+
+    /**
+     * 判断自由文本中的词是否像Return SN
+     * 需同时包含数字和字母，或为较长的纯数字，避免把数量、日期、普通单词当作SN
+     * @param {string} token - 已规范化的词
+     * @returns {boolean}
+     */
+    looksLikeSn(token) {
+        return ShopeeUtils.validateReturnSn(token) &&
+               /\d/.test(token) &&
+               (/[A-Z]/.test(token) || token.length >= 12);
+    },
+
+    /**
+     * 检测表格输入（Excel粘贴的TSV或CSV），返回SN所在列
+     * 至少 minTableRows 行且每行列数一致才视为表格（两三行的聊天消息按自由文本处理）
+     * @param {Array} lines - [{text, lineNumber}]
+     * @returns {Object|null} {delimiter, column}
+     */
+    detectTableColumn(lines) {
+        if (lines.length < this.config.minTableRows) return null;
+
+        const delimiter = ['\t', ',', ';'].find(candidate => {
+            const counts = lines.map(line => line.text.split(candidate).length);
+            return counts[0] > 1 && counts.every(count => count === counts[0]);
+        });
+        if (!delimiter) return null;
+
+        // 每列统计像SN的单元格数和非空单元格数（不含第一行，可能是表头）
+        const columns = [];
+        lines.forEach((line, lineIndex) => {
+            line.text.split(delimiter).forEach((cell, index) => {
+                const value = this.normalizeCell(cell);
+                const stats = columns[index] || (columns[index] = { hits: 0, filled: 0, header: '' });
+                if (lineIndex === 0) {
+                    stats.header = cell.trim();
+                    if (!this.looksLikeSn(value)) return;
+                }
+                if (value !== '') stats.filled++;
+                if (this.looksLikeSn(value)) stats.hits++;
+            });
+        });
+
+        // 命中数最多的列；相同时比较命中率，再相同时优先表头像 "Return SN" 的列
+        const rank = stats => [
+            stats.hits,
+            stats.filled > 0 ? stats.hits / stats.filled : 0,
+            this.config.snHeaderPattern.test(stats.header) ? 1 : 0
+        ];
+        let column = -1;
+        columns.forEach((stats, index) => {
+            if (!stats.hits) return;
+            if (column === -1) {
+                column = index;
+                return;
+            }
+            const [a, b] = [rank(stats), rank(columns[column])];
+            const diff = a.map((value, i) => value - b[i]).find(value => value !== 0);
+            if (diff > 0) column = index;
+        });
+
+        // 命中率过低时不是SN表格（例如逗号分隔的聊天消息）
+        if (column === -1 || columns[column].hits / Math.max(columns[column].filled, 1) < 0.5) {
+            return null;
+        }
+
+        return { delimiter, column };
+    },
+
+    /**
+     * 规范化表格单元格（去除引号和空白）
+     * @param {string} cell - 单元格原文
+     * @returns {string}
+     */
+    normalizeCell(cell) {
+        return this.normalizeSn(cell.trim().replace(/^"|"$/g, ''));
+    },
+
+    /**
+     * 从文本中提取Return SN，并给出重复和被拒绝的明细
+     * 支持：每行一个SN、Excel粘贴的多列表格（TSV/CSV）、夹杂其他文字的聊天消息
+     * @param {string} input - 用户输入的文本
+     * @returns {Object} {sns, duplicates: [{sn, line, firstLine}], rejected: [{token, line, reason}], mode}
+     */
+    extractSns(input) {
+        const report = { sns: [], duplicates: [], rejected: [], mode: 'text' };
+        if (!input || typeof input !== 'string') return report;
+
+        const lines = input.split(/\r?\n/)
+            .map((text, index) => ({ text: text, lineNumber: index + 1 }))
+            .filter(line => line.text.trim().length > 0);
+
+        const seen = new Map(); // SN -> 首次出现的行号
+        const accept = (sn, lineNumber) => {
+            if (seen.has(sn)) {
+                report.duplicates.push({ sn: sn, line: lineNumber, firstLine: seen.get(sn) });
+                return;
+            }
+            seen.set(sn, lineNumber);
+            report.sns.push(sn);
+        };
+
+        const table = this.detectTableColumn(lines);
+
+        if (table) {
+            report.mode = table.delimiter === '\t' ? 'tsv' : 'csv';
+            lines.forEach((line, index) => {
+                const cell = line.text.split(table.delimiter)[table.column] || '';
+                const value = this.normalizeCell(cell);
+
+                if (this.looksLikeSn(value)) {
+                    accept(value, line.lineNumber);
+                } else if (index > 0 && value !== '') {
+                    // 第一行不像SN时是表头，直接丢弃，不计入拒绝
+                    report.rejected.push({ token: cell.trim(), line: line.lineNumber, reason: '格式无效' });
+                }
+            });
+            return report;
+        }
+
+        lines.forEach(line => {
+            const tokens = line.text.split(/[^A-Za-z0-9]+/).filter(Boolean).map(token => this.normalizeSn(token));
+
+            // 整行只有一个词时按原规则校验（兼容每行一个SN的输入）
+            if (tokens.length === 1) {
+                if (ShopeeUtils.validateReturnSn(tokens[0])) {
+                    accept(tokens[0], line.lineNumber);
+                } else {
+                    report.rejected.push({ token: line.text.trim(), line: line.lineNumber, reason: '格式无效' });
+                }
+                return;
+            }
+
+            tokens.forEach(token => {
+                if (this.looksLikeSn(token)) {
+                    accept(token, line.lineNumber);
+                } else if (/\d/.test(token) && /[A-Z]/.test(token)) {
+                    // 含字母和数字但不符合格式的词才报告，普通单词和数字视为噪声
+                    report.rejected.push({ token: token, line: line.lineNumber, reason: '格式无效' });
+                }
+            });
+        });
+
+        return report;
     },
 
     /**
@@ -35,28 +207,33 @@ const SNMatcher = {
             return [];
         }
 
-        // 按行分割并清理
-        const lines = input.split('\n')
-            .map(line => line.trim())
-            .filter(line => line.length > 0);
+        const report = this.extractSns(input);
+        this.cache.parseReport = report;
 
-        // 验证格式
-        const validSns = [];
-        const invalidSns = [];
+        if (report.mode !== 'text') {
+            ShopeeUtils.addLogToUI(`检测到表格输入（${report.mode.toUpperCase()}），已自动选取Return SN所在列`, 'info');
+        }
 
-        lines.forEach(line => {
-            if (ShopeeUtils.validateReturnSn(line)) {
-                validSns.push(line);
-            } else {
-                invalidSns.push(line);
-            }
-        });
+        if (report.duplicates.length > 0) {
+            const preview = report.duplicates.slice(0, 5)
+                .map(item => `${item.sn}（第 ${item.line} 行，首次在第 ${item.firstLine} 行）`);
+            ShopeeUtils.addLogToUI(
+                `发现 ${report.duplicates.length} 个重复的SN，已去重: ${preview.join(', ')}${report.duplicates.length > 5 ? '...' : ''}`,
+                'warning'
+            );
+        }
 
-        if (invalidSns.length > 0) {
-            ShopeeUtils.addLogToUI(`发现 ${invalidSns.length} 个格式无效的SN，已忽略`, 'warning');
-            ShopeeUtils.log(`无效SN: ${invalidSns.join(', ')}`, 'warning');
+        if (report.rejected.length > 0) {
+            const preview = report.rejected.slice(0, 5).map(item => `第 ${item.line} 行: ${item.token}`);
+            ShopeeUtils.addLogToUI(
+                `发现 ${report.rejected.length} 个格式无效的内容，已忽略: ${preview.join(', ')}${report.rejected.length > 5 ? '...' : ''}`,
+                'warning'
+            );
+            ShopeeUtils.log(`无效内容: ${report.rejected.map(item => `[${item.line}] ${item.token}`).join(', ')}`, 'warning');
         }
 
+        const validSns = report.sns;
+
         if (validSns.length === 0) {
             ShopeeUtils.showError('没有找到有效的Return SN');
             return [];
@@ -68,13 +245,60 @@ const SNMatcher = {
         return validSns;
     },
 
+    /**
+     * 获取最近一次解析的明细（重复和被拒绝的内容）
+     * @returns {Object|null}
+     */
+    getParseReport() {
+        return this.cache.parseReport;
+    },
+
+    /**
+     * 设置SN对应的附加列（来自导入文件），匹配结果会带上这些列
+     * @param {Map} extras - SN -> {列名: 值}
+     */
+    setInputExtras(extras) {
+        this.cache.inputExtras = new Map(extras);
+    },
+
+    /**
+     * 清除附加列（输入改为粘贴或手动输入时调用，避免旧文件的列带到新的匹配结果上）
+     * @returns {boolean} 是否有附加列被清除
+     */
+    clearInputExtras() {
+        if (this.cache.inputExtras.size === 0) return false;
+        this.cache.inputExtras.clear();
+        return true;
+    },
+
+    /**
+     * 获取SN对应的附加列
+     * @returns {Map}
+     */
+    getInputExtras() {
+        return this.cache.inputExtras;
+    },
+
     /**
      * 匹配Return SN
      * @param {Array} userSns - 用户输入的SN数组
      * @param {Map} crawledMap - 从OrderCrawler获取的映射
+     * @param {Map} recordMap - 可选，SN到完整记录的映射（OrderCrawler.getCachedRecordMap），匹配结果会带上这些字段
+     * @param {string} crawledShopId - 可选，爬取数据所属的店铺ID（OrderCrawler.getCachedShopId），与当前店铺不一致时拒绝匹配
      * @returns {Object} 匹配结果
      */
-    matchReturnSns(userSns, crawledMap) {
+    matchReturnSns(userSns, crawledMap, recordMap = null, crawledShopId = null) {
+        try {
+            ShopContext.assertCurrentShop(crawledShopId, '订单数据');
+        } catch (error) {
+            ShopeeUtils.showError(error.message);
+            return {
+                matched: [],
+                unmatched: userSns || [],
+                matchRate: 0
+            };
+        }
+
         if (!userSns || userSns.length === 0) {
             ShopeeUtils.showError('没有要匹配的Return SN');
             return {
@@ -101,7 +325,15 @@ const SNMatcher = {
         userSns.forEach(sn => {
             if (crawledMap.has(sn)) {
                 const returnId = crawledMap.get(sn);
+                const record = recordMap?.get(sn) || {};
+                const extras = {};
+                // 导入文件的附加列，与爬取字段同名时加前缀避免覆盖
+                Object.entries(this.cache.inputExtras.get(sn) || {}).forEach(([key, value]) => {
+                    extras[key in record ? `文件_${key}` : key] = value;
+                });
                 matchedResults.push({
+                    ...record,
+                    ...extras,
                     return_sn: sn,
                     return_id: returnId
                 });
@@ -154,6 +386,14 @@ const SNMatcher = {
         return this.cache.matchedResults;
     },
 
+    /**
+     * 获取最近一次解析的用户输入SN列表
+     * @returns {Array}
+     */
+    getUserInput() {
+        return this.cache.userInput;
+    },
+
     /**
      * 获取未匹配的SN列表
      * @returns {Array}
@@ -176,6 +416,8 @@ const SNMatcher = {
      */
     clearCache() {
         this.cache.userInput = [];
+        this.cache.parseReport = null;
+        this.cache.inputExtras.clear();
         this.cache.matchedResults = [];
         this.cache.unmatchedSns = [];
         this.cache.snToIdMap.clear();
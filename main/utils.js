@@ -4,6 +4,8 @@
 // @version      1.0
 // @description  共享工具函数
 // @author       You
+// @require      regions.js
+// @grant        GM_xmlhttpRequest
 // ==/UserScript==
 
 /**
@@ -11,6 +13,315 @@
  * 提供通用的工具函数供其他模块使用
  */
 const ShopeeUtils = {
+    // 地址提取通信配置（列表页与详情页共用）
+    addressChannel: {
+        name: 'shopee_tool_address',           // BroadcastChannel 名称
+        messageType: 'SHOPEE_ADDRESS_EXTRACTED', // 消息类型
+        urlFlag: 'shopee_tool_extract'          // 详情页URL标记参数
+    },
+
+    // 运行环境适配器（默认使用浏览器接口，测试时可通过 setAdapters 替换）
+    adapters: {
+        openWindow: (url, name, features) => window.open(url, name, features),
+        createChannel: (name) => new BroadcastChannel(name),
+        // 页面的 window（沙箱中需通过 unsafeWindow 才能拦截页面自身的请求）
+        getPageWindow: () => (typeof unsafeWindow !== 'undefined' ? unsafeWindow : window)
+    },
+
+    /**
+     * 替换运行环境适配器
+     * @param {Object} overrides - {openWindow, createChannel, getPageWindow} 中的任意项
+     */
+    setAdapters(overrides) {
+        Object.entries(overrides).forEach(([name, adapter]) => {
+            if (!(name in this.adapters)) {
+                throw new Error(`未知的适配器: ${name}`);
+            }
+            if (typeof adapter !== 'function') {
+                throw new Error(`适配器必须是函数: ${name}`);
+            }
+            this.adapters[name] = adapter;
+        });
+    },
+
+    // 请求客户端配置
+    requestClient: {
+        backend: 'gm',      // 当前使用的后端名称
+        timeout: 30000,     // 默认超时（毫秒），0 表示不限制
+        hooks: {
+            request: [],    // (request) => void，请求发出前调用，可修改 request
+            response: []    // ({request, status, duration, error}) => void，请求结束后调用（成功或失败）
+        }
+    },
+
+    /**
+     * 请求后端
+     * 后端签名: (request: {method, url, headers, body, signal}) => Promise<{status, headers, text}>
+     * headers 为小写键名的对象；signal 触发 abort 时后端应尽快中止并拒绝
+     */
+    requestBackends: {
+        gm(request) {
+            return new Promise((resolve, reject) => {
+                const handle = GM_xmlhttpRequest({
+                    method: request.method,
+                    url: request.url,
+                    headers: request.headers,
+                    data: request.body,
+                    onload: response => resolve({
+                        status: response.status,
+                        headers: ShopeeUtils.parseResponseHeaders(response.responseHeaders),
+                        text: response.responseText
+                    }),
+                    onerror: () => reject(new Error('网络请求失败')),
+                    onabort: () => reject(new Error('请求已中止'))
+                });
+                request.signal.addEventListener('abort', () => handle && handle.abort && handle.abort());
+            });
+        },
+
+        async fetch(request) {
+            const response = await fetch(request.url, {
+                method: request.method,
+                headers: request.headers,
+                body: request.body,
+                credentials: 'include',
+                signal: request.signal
+            });
+            const headers = {};
+            response.headers.forEach((value, name) => {
+                headers[name.toLowerCase()] = value;
+            });
+            return { status: response.status, headers, text: await response.text() };
+        }
+    },
+
+    /**
+     * 注册请求后端
+     * @param {string} name - 后端名称
+     * @param {Function} backend - 后端函数
+     */
+    registerRequestBackend(name, backend) {
+        if (typeof backend !== 'function') {
+            throw new Error(`请求后端必须是函数: ${name}`);
+        }
+        this.requestBackends[name] = backend;
+    },
+
+    /**
+     * 切换请求后端
+     * @param {string} name - 已注册的后端名称
+     */
+    setRequestBackend(name) {
+        if (!this.requestBackends[name]) {
+            throw new Error(`未知的请求后端: ${name}`);
+        }
+        this.requestClient.backend = name;
+    },
+
+    /**
+     * 创建 mock 后端
+     * @param {Function} handler - (request) => {status, headers, body} 或其 Promise；body 为对象时序列化为JSON
+     * @returns {Function}
+     */
+    createMockBackend(handler) {
+        return (request) => new Promise((resolve, reject) => {
+            if (request.signal.aborted) {
+                reject(new Error('请求已中止'));
+                return;
+            }
+            request.signal.addEventListener('abort', () => reject(new Error('请求已中止')));
+
+            Promise.resolve()
+                .then(() => handler(request))
+                .then(response => {
+                    const body = response.body === undefined ? '' : response.body;
+                    const headers = {};
+                    Object.entries(response.headers || {}).forEach(([name, value]) => {
+                        headers[name.toLowerCase()] = String(value);
+                    });
+                    resolve({
+                        status: response.status || 200,
+                        headers,
+                        text: typeof body === 'string' ? body : JSON.stringify(body)
+                    });
+                }, reject);
+        });
+    },
+
+    /**
+     * 添加请求钩子（用于日志等）
+     * @param {string} type - request | response
+     * @param {Function} hook - 钩子函数
+     * @returns {Function} 移除该钩子的函数
+     */
+    addRequestHook(type, hook) {
+        const hooks = this.requestClient.hooks[type];
+        if (!hooks) {
+            throw new Error(`未知的钩子类型: ${type}`);
+        }
+        hooks.push(hook);
+        return () => {
+            const index = hooks.indexOf(hook);
+            if (index > -1) hooks.splice(index, 1);
+        };
+    },
+
+    /**
+     * 将原始响应头文本解析为对象（键名小写）
+     * @param {string} rawHeaders - 原始响应头
+     * @returns {Object}
+     */
+    parseResponseHeaders(rawHeaders) {
+        const headers = {};
+        (rawHeaders || '').split(/\r?\n/).forEach(line => {
+            const index = line.indexOf(':');
+            if (index > 0) {
+                headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+            }
+        });
+        return headers;
+    },
+
+    /**
+     * 解析 Retry-After 响应头（秒数或HTTP日期）
+     * @param {string} value - 响应头的值
+     * @returns {number|null} 等待毫秒数
+     */
+    parseRetryAfter(value) {
+        if (!value) return null;
+        if (/^\d+$/.test(value.trim())) {
+            return parseInt(value, 10) * 1000;
+        }
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    },
+
+    /**
+     * 发送请求
+     * 错误对象带有以下字段，供调用方决定是否重试：
+     *   status（HTTP状态码）、retryable、throttled（HTTP 429）、retryAfter（毫秒）、timeout、aborted
+     * @param {Object} options - 请求选项
+     * @param {string} options.url - 请求地址
+     * @param {string} options.method - 请求方法，默认 GET
+     * @param {Object} options.headers - 请求头
+     * @param {Object} options.params - 查询参数
+     * @param {*} options.body - 请求体，对象会序列化为JSON
+     * @param {number} options.timeout - 超时毫秒数，默认 requestClient.timeout
+     * @param {AbortSignal} options.signal - 取消信号
+     * @param {string} options.responseType - json | text，默认 json
+     * @param {Function} options.validateStatus - (status) => boolean，默认 2xx/3xx 视为成功
+     * @returns {Promise<Object>} {status, headers, data, text}
+     */
+    async request(options) {
+        const url = new URL(options.url);
+        Object.entries(options.params || {}).forEach(([name, value]) => {
+            if (value !== null && value !== undefined) url.searchParams.set(name, value);
+        });
+
+        const request = {
+            method: (options.method || 'GET').toUpperCase(),
+            url: url.toString(),
+            headers: { ...options.headers },
+            body: options.body === undefined || options.body === null ? null : options.body
+        };
+        if (request.body !== null && typeof request.body !== 'string') {
+            request.body = JSON.stringify(request.body);
+            if (!Object.keys(request.headers).some(name => name.toLowerCase() === 'content-type')) {
+                request.headers['Content-Type'] = 'application/json';
+            }
+        }
+
+        const createError = (message, fields) => Object.assign(new Error(message), fields);
+        const backend = this.requestBackends[this.requestClient.backend];
+        const timeout = options.timeout === undefined ? this.requestClient.timeout : options.timeout;
+        const startedAt = Date.now();
+
+        const notify = (fields) => {
+            this.requestClient.hooks.response.forEach(hook => {
+                try {
+                    hook({ request, duration: Date.now() - startedAt, ...fields });
+                } catch (e) {
+                    // 日志钩子出错不影响请求
+                }
+            });
+        };
+
+        if (options.signal?.aborted) {
+            throw createError('请求已取消', { name: 'AbortError', aborted: true, retryable: false });
+        }
+        this.requestClient.hooks.request.forEach(hook => hook(request));
+
+        // 超时和外部取消都通过同一个 AbortController 中止后端请求
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = timeout > 0 ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout) : null;
+        const onAbort = () => controller.abort();
+        options.signal?.addEventListener('abort', onAbort);
+
+        let response;
+        try {
+            response = await backend({ ...request, signal: controller.signal });
+        } catch (cause) {
+            let error;
+            if (timedOut) {
+                error = createError(`请求超时 (${timeout}ms)`, { timeout: true, retryable: true });
+            } else if (controller.signal.aborted) {
+                error = createError('请求已取消', { name: 'AbortError', aborted: true, retryable: false });
+            } else {
+                error = createError(cause.message || '网络请求失败', { retryable: true });
+            }
+            notify({ error });
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            options.signal?.removeEventListener('abort', onAbort);
+        }
+
+        const validateStatus = options.validateStatus || (status => status >= 200 && status < 400);
+        if (!validateStatus(response.status)) {
+            const error = createError(
+                response.status === 429 ? '请求过于频繁 (HTTP 429)' : `HTTP ${response.status}`,
+                {
+                    status: response.status,
+                    // 5xx 和 429 可重试，其他 4xx（如认证失败）重试无意义
+                    retryable: response.status >= 500 || response.status === 429,
+                    throttled: response.status === 429,
+                    retryAfter: this.parseRetryAfter(response.headers['retry-after'])
+                }
+            );
+            notify({ status: response.status, error });
+            throw error;
+        }
+
+        let data = response.text;
+        if ((options.responseType || 'json') === 'json') {
+            try {
+                data = JSON.parse(response.text);
+            } catch (e) {
+                const error = createError('解析响应数据失败', { status: response.status });
+                notify({ status: response.status, error });
+                throw error;
+            }
+        }
+
+        notify({ status: response.status });
+        return { status: response.status, headers: response.headers, data, text: response.text };
+    },
+
+    // CSV导出配置
+    csvOptions: {
+        storageKey: 'shopee_tool_csv_options', // 用户设置的持久化键名
+        delimiters: [',', ';', '\t'],          // 可选分隔符（部分地区的Excel默认使用分号）
+        defaults: {
+            delimiter: ',',
+            bom: true,       // 是否添加 UTF-8 BOM（Excel 需要它识别中文/印尼文）
+            sanitize: true   // 是否中和以 = + - @ 开头的单元格，防止公式注入
+        }
+    },
+
     /**
      * 日志输出
      * @param {string} message - 日志信息
@@ -50,9 +361,25 @@ const ShopeeUtils = {
     /**
      * 延迟函数
      * @param {number} ms - 延迟毫秒数
+     * @param {AbortSignal} signal - 可选，触发时提前结束并抛出取消错误
      */
-    async sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    async sleep(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            const abort = () => {
+                clearTimeout(timer);
+                reject(Object.assign(new Error('任务已取消'), { name: 'AbortError', aborted: true, retryable: false }));
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', abort);
+                resolve();
+            }, ms);
+
+            if (signal?.aborted) {
+                abort();
+            } else {
+                signal?.addEventListener('abort', abort);
+            }
+        });
     },
 
     /**
@@ -80,12 +407,13 @@ const ShopeeUtils = {
     },
 
     /**
-     * 格式化时间戳为可读字符串
+     * 格式化时间戳为可读字符串（使用当前站点的语言环境和时区）
      * @param {number} timestamp - Unix时间戳（秒）
      * @returns {string}
      */
     formatTime(timestamp) {
-        return new Date(timestamp * 1000).toLocaleString('zh-CN');
+        const { locale, timeZone } = ShopeeRegions.getCurrent();
+        return new Date(timestamp * 1000).toLocaleString(locale, { timeZone });
     },
 
     /**
@@ -102,33 +430,97 @@ const ShopeeUtils = {
         }
     },
 
+    /**
+     * 按路径读取嵌套字段
+     * @param {Object} obj - 源对象
+     * @param {string} path - 字段路径，如 'a.b.c'
+     * @returns {*} 不存在时返回undefined
+     */
+    getByPath(obj, path) {
+        return path.split('.').reduce((current, key) => (
+            current === null || current === undefined ? undefined : current[key]
+        ), obj);
+    },
+
+    /**
+     * 收集所有行的列名（保持首次出现的顺序）
+     * @param {Array} data - 数据数组
+     * @returns {Array}
+     */
+    getCSVHeaders(data) {
+        const headers = [];
+        (data || []).forEach(row => {
+            Object.keys(row).forEach(key => {
+                if (!headers.includes(key)) headers.push(key);
+            });
+        });
+        return headers;
+    },
+
+    /**
+     * 中和可能被表格软件当作公式执行的单元格
+     * 以 = + - @ 或制表符/回车开头的文本前加单引号；纯数字（如负数金额）保持不变
+     * @param {string} text - 单元格文本
+     * @returns {string}
+     */
+    sanitizeCSVValue(text) {
+        if (!/^[=+\-@\t\r]/.test(text) || /^[+-]?\d+(\.\d+)?$/.test(text)) {
+            return text;
+        }
+        return `'${text}`;
+    },
+
+    /**
+     * 获取CSV导出设置（默认值 + 用户保存的设置）
+     * @returns {Object} {delimiter, bom, sanitize}
+     */
+    getCSVOptions() {
+        return { ...this.csvOptions.defaults, ...this.storageGet(this.csvOptions.storageKey, {}) };
+    },
+
+    /**
+     * 保存CSV导出设置
+     * @param {Object} options - {delimiter, bom}
+     * @returns {Object} 保存后的设置
+     */
+    setCSVOptions(options) {
+        if (options.delimiter !== undefined && !this.csvOptions.delimiters.includes(options.delimiter)) {
+            throw new Error(`不支持的分隔符: ${JSON.stringify(options.delimiter)}`);
+        }
+
+        const saved = { ...this.getCSVOptions(), ...options };
+        this.storageSet(this.csvOptions.storageKey, saved);
+        return saved;
+    },
+
     /**
      * 生成CSV内容
      * @param {Array} data - 数据数组
+     * @param {Object} options - 可选，{columns, delimiter, bom, sanitize}，未指定的项使用 getCSVOptions()
+     *                           columns 为输出的列及顺序，默认为所有行的列名并集
      * @returns {string}
      */
-    generateCSV(data) {
+    generateCSV(data, options = {}) {
         if (!data || data.length === 0) return '';
 
-        const BOM = '\uFEFF'; // UTF-8 BOM
-        const headers = Object.keys(data[0]);
-        const csvRows = [];
+        const { columns, delimiter, bom, sanitize } = { ...this.getCSVOptions(), ...options };
+        const headers = columns && columns.length > 0 ? columns : this.getCSVHeaders(data);
 
-        // 添加表头
-        csvRows.push(headers.map(h => `"${h}"`).join(','));
+        const formatCell = (value) => {
+            if (value === null || value === undefined) return '""';
+            let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            if (sanitize && typeof value !== 'number') {
+                text = this.sanitizeCSVValue(text);
+            }
+            return `"${text.replace(/"/g, '""')}"`;
+        };
 
-        // 添加数据行
+        const csvRows = [headers.map(formatCell).join(delimiter)];
         data.forEach(row => {
-            const values = headers.map(header => {
-                const value = row[header];
-                if (value === null || value === undefined) return '""';
-                if (typeof value === 'object') return `"${JSON.stringify(value).replace(/"/g, '""')}"`;
-                return `"${String(value).replace(/"/g, '""')}"`;
-            });
-            csvRows.push(values.join(','));
+            csvRows.push(headers.map(header => formatCell(row[header])).join(delimiter));
         });
 
-        return BOM + csvRows.join('\n');
+        return (bom ? '\uFEFF' : '') + csvRows.join('\n');
     },
 
     /**
@@ -137,11 +529,21 @@ const ShopeeUtils = {
      * @param {string} filename - 文件名
      */
     downloadCSV(csvContent, filename) {
-        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+        this.downloadFile(csvContent, filename || `shopee_export_${Date.now()}.csv`, 'text/csv;charset=utf-8;');
+    },
+
+    /**
+     * 下载文件
+     * @param {string|Blob} content - 文件内容
+     * @param {string} filename - 文件名
+     * @param {string} mimeType - MIME类型
+     */
+    downloadFile(content, filename, mimeType = 'application/octet-stream') {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
         const url = URL.createObjectURL(blob);
         const link = document.createElement('a');
         link.href = url;
-        link.download = filename || `shopee_export_${Date.now()}.csv`;
+        link.download = filename;
         link.style.display = 'none';
         document.body.appendChild(link);
         link.click();
@@ -149,6 +551,60 @@ const ShopeeUtils = {
         setTimeout(() => URL.revokeObjectURL(url), 100);
     },
 
+    /**
+     * 读取持久化数据（GM存储，不可用时回退到localStorage）
+     * @param {string} key - 键名
+     * @param {*} defaultValue - 默认值
+     * @returns {*}
+     */
+    storageGet(key, defaultValue = null) {
+        const raw = typeof GM_getValue === 'function'
+            ? GM_getValue(key, null)
+            : localStorage.getItem(key);
+        if (raw === null || raw === undefined) return defaultValue;
+
+        const value = this.safeJsonParse(raw);
+        return value === null ? defaultValue : value;
+    },
+
+    /**
+     * 写入持久化数据
+     * @param {string} key - 键名
+     * @param {*} value - 可JSON序列化的值
+     */
+    storageSet(key, value) {
+        const raw = JSON.stringify(value);
+        if (typeof GM_setValue === 'function') {
+            GM_setValue(key, raw);
+        } else {
+            localStorage.setItem(key, raw);
+        }
+    },
+
+    /**
+     * 删除持久化数据
+     * @param {string} key - 键名
+     */
+    storageDelete(key) {
+        if (typeof GM_deleteValue === 'function') {
+            GM_deleteValue(key);
+        } else {
+            localStorage.removeItem(key);
+        }
+    },
+
+    /**
+     * 列出指定前缀的持久化键名
+     * @param {string} prefix - 键名前缀
+     * @returns {Array}
+     */
+    storageKeys(prefix = '') {
+        const keys = typeof GM_listValues === 'function'
+            ? GM_listValues()
+            : Object.keys(localStorage);
+        return keys.filter(key => key.startsWith(prefix));
+    },
+
     /**
      * 获取CSRF Token
      * @returns {string|null}
@@ -0,0 +1,267 @@
+// ==UserScript==
+// @name         Shopee工具-仓库规则模块
+// @namespace    http://tampermonkey.net/
+// @version      1.0
+// @description  可配置的仓库识别规则（邮编/关键字/正则，按优先级匹配）
+// @author       You
+// @require      regions.js
+// @require      utils.js
+// @grant        GM_getValue
+// @grant        GM_setValue
+// ==/UserScript==
+
+/**
+ * 仓库规则模块
+ * 功能：
+ * 1. 按站点保存用户可编辑的仓库识别规则
+ * 2. 支持邮编（整词匹配）、城市/省份关键字、正则三种规则
+ * 3. 按优先级匹配地址，提供测试预览
+ * 4. 规则集导入/导出为JSON
+ *
+ * 规则结构：
+ * {
+ *   warehouse: 'BI JKT',     // 仓库代码
+ *   type: 'postal',          // postal | keyword | regex
+ *   pattern: '14460',        // 邮编 / 关键字 / 正则表达式
+ *   priority: 10,            // 数字越小越优先
+ *   enabled: true
+ * }
+ */
+const WarehouseRules = {
+    // 配置
+    config: {
+        storagePrefix: 'shopee_tool_warehouse_rules' // 持久化键名前缀（按站点区分）
+    },
+
+    // 支持的规则类型
+    ruleTypes: ['postal', 'keyword', 'regex'],
+
+    // 内存中的规则（按站点缓存）
+    rules: new Map(),
+
+    /**
+     * 获取当前站点的持久化键名
+     * @returns {string}
+     */
+    getStorageKey() {
+        return `${this.config.storagePrefix}:${ShopeeRegions.getCurrent().code}`;
+    },
+
+    /**
+     * 由站点配置生成默认规则
+     * @returns {Array}
+     */
+    getDefaultRules() {
+        return Object.entries(ShopeeRegions.getCurrent().warehouseRules).map(([postalCode, warehouse], index) => ({
+            warehouse: warehouse,
+            type: 'postal',
+            pattern: postalCode,
+            priority: (index + 1) * 10,
+            enabled: true
+        }));
+    },
+
+    /**
+     * 校验并规范化单条规则
+     * @param {Object} rule - 规则
+     * @param {number} index - 规则序号（用于错误提示）
+     * @returns {Object} 规范化后的规则
+     * @throws {Error} 规则无效时抛出
+     */
+    validateRule(rule, index = 0) {
+        const position = `第 ${index + 1} 条规则`;
+
+        if (!rule || typeof rule !== 'object') {
+            throw new Error(`${position}格式无效`);
+        }
+        if (typeof rule.warehouse !== 'string' || !rule.warehouse.trim()) {
+            throw new Error(`${position}缺少仓库代码`);
+        }
+        if (!this.ruleTypes.includes(rule.type)) {
+            throw new Error(`${position}类型无效，应为 ${this.ruleTypes.join('/')}`);
+        }
+        if (typeof rule.pattern !== 'string' || !rule.pattern.trim()) {
+            throw new Error(`${position}缺少匹配内容`);
+        }
+        if (rule.type === 'postal' && !/^\d{3,10}$/.test(rule.pattern.trim())) {
+            throw new Error(`${position}邮编格式无效: ${rule.pattern}`);
+        }
+        if (rule.type === 'regex') {
+            try {
+                new RegExp(rule.pattern, 'i');
+            } catch (e) {
+                throw new Error(`${position}正则无效: ${e.message}`);
+            }
+        }
+
+        const priority = rule.priority === undefined ? (index + 1) * 10 : rule.priority;
+        if (!Number.isFinite(priority)) {
+            throw new Error(`${position}优先级必须是数字`);
+        }
+
+        return {
+            warehouse: rule.warehouse.trim(),
+            type: rule.type,
+            pattern: rule.pattern.trim(),
+            priority: priority,
+            enabled: rule.enabled !== false
+        };
+    },
+
+    /**
+     * 校验整个规则集
+     * @param {Array} rules - 规则数组
+     * @returns {Array} 规范化并按优先级排序的规则
+     */
+    validateRules(rules) {
+        if (!Array.isArray(rules)) {
+            throw new Error('规则集必须是数组');
+        }
+        return rules
+            .map((rule, index) => this.validateRule(rule, index))
+            .sort((a, b) => a.priority - b.priority);
+    },
+
+    /**
+     * 获取当前站点的规则（优先使用用户保存的规则）
+     * @returns {Array}
+     */
+    getRules() {
+        const key = this.getStorageKey();
+        if (this.rules.has(key)) {
+            return this.rules.get(key);
+        }
+
+        let rules = this.getDefaultRules();
+        const saved = ShopeeUtils.storageGet(key);
+        if (saved) {
+            try {
+                rules = this.validateRules(saved);
+            } catch (error) {
+                ShopeeUtils.addLogToUI(`已保存的仓库规则无效，使用默认规则: ${error.message}`, 'warning');
+            }
+        }
+
+        this.rules.set(key, rules);
+        return rules;
+    },
+
+    /**
+     * 保存当前站点的规则
+     * @param {Array} rules - 规则数组
+     * @returns {Array} 保存后的规则
+     */
+    saveRules(rules) {
+        const validRules = this.validateRules(rules);
+        const key = this.getStorageKey();
+
+        ShopeeUtils.storageSet(key, validRules);
+        this.rules.set(key, validRules);
+        ShopeeUtils.addLogToUI(`已保存 ${validRules.length} 条仓库规则`, 'success');
+
+        return validRules;
+    },
+
+    /**
+     * 恢复当前站点的默认规则
+     * @returns {Array}
+     */
+    resetRules() {
+        return this.saveRules(this.getDefaultRules());
+    },
+
+    /**
+     * 转义正则特殊字符
+     * @param {string} text - 文本
+     * @returns {string}
+     */
+    escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    },
+
+    /**
+     * 判断单条规则是否匹配地址
+     * 提供解析结果时，邮编规则只比对解析出的邮编，关键字规则只比对行政区划字段
+     * @param {Object} rule - 规则
+     * @param {string} address - 地址
+     * @param {Object} parsed - 可选，AddressParser.parse 的结果
+     * @returns {boolean}
+     */
+    matchRule(rule, address, parsed = null) {
+        if (!rule.enabled || !address) return false;
+
+        switch (rule.type) {
+            case 'postal':
+                if (parsed) {
+                    return parsed.kodePos === rule.pattern;
+                }
+                // 前后不能紧挨数字，避免匹配到电话号码或门牌号中的片段
+                return new RegExp(`(?<!\\d)${this.escapeRegExp(rule.pattern)}(?!\\d)`).test(address);
+            case 'keyword': {
+                const target = parsed
+                    ? [parsed.kelurahan, parsed.kecamatan, parsed.kota, parsed.provinsi].filter(Boolean).join(', ')
+                    : address;
+                // 整词匹配，忽略大小写
+                return new RegExp(`(?<![\\p{L}\\p{N}])${this.escapeRegExp(rule.pattern)}(?![\\p{L}\\p{N}])`, 'iu').test(target);
+            }
+            case 'regex':
+                return new RegExp(rule.pattern, 'i').test(address);
+            default:
+                return false;
+        }
+    },
+
+    /**
+     * 按优先级识别仓库
+     * @param {string} address - 地址
+     * @param {Object} parsed - 可选，AddressParser.parse 的结果
+     * @returns {Object|null} 命中的规则
+     */
+    identify(address, parsed = null) {
+        if (!address) return null;
+        return this.getRules().find(rule => this.matchRule(rule, address, parsed)) || null;
+    },
+
+    /**
+     * 测试地址，返回所有命中的规则（用于预览）
+     * @param {string} address - 地址
+     * @param {Array} rules - 可选，待测试的规则（默认使用已保存的规则）
+     * @param {Object} parsed - 可选，AddressParser.parse 的结果
+     * @returns {Object} {warehouse, matchedRules}
+     */
+    testAddress(address, rules = null, parsed = null) {
+        const ruleSet = rules ? this.validateRules(rules) : this.getRules();
+        const matchedRules = ruleSet.filter(rule => this.matchRule(rule, address, parsed));
+
+        return {
+            warehouse: matchedRules.length > 0 ? matchedRules[0].warehouse : '其他',
+            matchedRules: matchedRules
+        };
+    },
+
+    /**
+     * 导出规则集为JSON
+     * @returns {string}
+     */
+    exportRules() {
+        return JSON.stringify(this.getRules(), null, 2);
+    },
+
+    /**
+     * 从JSON导入规则集
+     * @param {string} json - JSON文本
+     * @returns {Array} 导入后的规则
+     */
+    importRules(json) {
+        const rules = ShopeeUtils.safeJsonParse(json);
+        if (rules === null) {
+            throw new Error('JSON格式无效');
+        }
+        return this.saveRules(rules);
+    }
+};
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WarehouseRules;
+}
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules, plain } = require('./harness');
+const { createMockServer, DETAIL_PATH } = require('./mockServer');
+
+const matched = [
+    { return_sn: '2403010AB1CDEF', return_id: 310001, refund_amount: 125000 },
+    { return_sn: '2403010AB2CDEF', return_id: 310002, refund_amount: 89000 },
+    { return_sn: '2403020AB3CDEF', return_id: 310003, refund_amount: 45500 }
+];
+
+/**
+ * 启动 mock 服务器并加载地址提取模块
+ * @param {Object} t - node:test 上下文
+ * @returns {Promise<Object>}
+ */
+async function setup(t) {
+    const server = createMockServer();
+    const baseUrl = await server.start();
+    t.after(() => server.stop());
+
+    const env = loadModules(
+        ['authManager', 'shopContext', 'orderCrawler', 'addressParser', 'warehouseRules', 'addressExtractor', 'reconciliation', 'jobController'],
+        { baseUrl }
+    );
+    const { OrderCrawler, AddressExtractor } = env.modules;
+    OrderCrawler.authHeaders = { 'X-CSRFToken': 'test' };
+
+    return { server, env, AddressExtractor };
+}
+
+test('extractAddresses resolves addresses through the detail API and identifies warehouses', async (t) => {
+    const { server, AddressExtractor } = await setup(t);
+    const progress = [];
+
+    const results = await AddressExtractor.extractAddresses(matched, update => progress.push(update.completed));
+    const bySn = new Map(results.map(result => [result.return_sn, result]));
+
+    assert.strictEqual(results.length, 3);
+    assert.strictEqual(bySn.get('2403010AB1CDEF').warehouse, 'BI JKT');
+    assert.strictEqual(bySn.get('2403010AB2CDEF').warehouse, 'BI SBY');
+    assert.strictEqual(bySn.get('2403020AB3CDEF').warehouse, 'BI SMR');
+    assert.strictEqual(bySn.get('2403010AB1CDEF').kecamatan, 'Ciracas');
+    assert.strictEqual(bySn.get('2403010AB1CDEF').recipient_name, 'Gudang Jakarta');
+    assert.strictEqual(bySn.get('2403010AB2CDEF').refund_amount, 89000, '匹配记录的字段应附加到结果');
+    assert.deepStrictEqual(progress.sort(), [1, 2, 3]);
+    assert.strictEqual(server.requests.filter(request => request.path === DETAIL_PATH).length, 3);
+    assert.strictEqual(server.requests[0].headers['x-csrftoken'], 'test');
+    assert.strictEqual(AddressExtractor.getCacheInfo().processingCount, 0);
+});
+
+test('extractAddresses stops scheduling after cancel and returns the finished results', async (t) => {
+    const { server, env, AddressExtractor } = await setup(t);
+    const job = env.modules.JobController.start('地址提取');
+    AddressExtractor.config.maxConcurrent = 1;
+
+    const results = await AddressExtractor.extractAddresses(matched, () => job.cancel(), job);
+
+    assert.strictEqual(results.length, 1);
+    assert.strictEqual(results[0].return_sn, '2403010AB1CDEF');
+    assert.strictEqual(server.requests.filter(request => request.path === DETAIL_PATH).length, 1);
+    assert.strictEqual(AddressExtractor.getCacheInfo().processingCount, 0);
+});
+
+test('extractAddresses records a failure when the detail has no address and popup fallback is off', async (t) => {
+    const { AddressExtractor } = await setup(t);
+    AddressExtractor.config.fallbackToPopup = false;
+
+    const [result] = await AddressExtractor.extractAddresses([{ return_sn: '2403020AB4CDEF', return_id: 310004 }]);
+
+    assert.strictEqual(result.success, false);
+    assert.match(result.address, /响应中未找到地址/);
+    assert.strictEqual(result.warehouse, '未知');
+});
+
+test('extractAddresses falls back to the popup and reads the reply from the broadcast channel', async (t) => {
+    const { env, AddressExtractor } = await setup(t);
+    const { ShopeeUtils } = env.modules;
+    const opened = [];
+    const channels = [];
+
+    ShopeeUtils.setAdapters({
+        openWindow: (url) => {
+            const popup = { closed: false, close() { this.closed = true; } };
+            opened.push({ url, popup });
+            // 模拟详情页抓取后回传
+            setTimeout(() => {
+                channels.forEach(channel => channel.onmessage && channel.onmessage({
+                    data: {
+                        type: ShopeeUtils.addressChannel.messageType,
+                        orderId: '310005',
+                        success: true,
+                        address: 'Jl. Merdeka No. 1, Kec. Cilodong, Kota Depok, Jawa Barat, ID 16415'
+                    }
+                }));
+            }, 5);
+            return popup;
+        },
+        createChannel: () => {
+            const channel = { onmessage: null, close() {} };
+            channels.push(channel);
+            return channel;
+        }
+    });
+
+    const [result] = await AddressExtractor.extractAddresses([{ return_sn: '2403040AB5CDEF', return_id: 310005 }]);
+
+    assert.strictEqual(opened.length, 1);
+    assert.match(opened[0].url, /\/portal\/sale\/return\/310005\?shopee_tool_extract=1$/);
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.kota, 'Kota Depok');
+    assert.strictEqual(AddressExtractor.getCachedResult('2403040AB5CDEF').kode_pos, '16415');
+});
+
+test('reconciliation looks up warehouses of missing records without touching the export results', async (t) => {
+    const { server, env, AddressExtractor } = await setup(t);
+    const { Reconciliation } = env.modules;
+    const crawled = [...matched, { return_sn: '2403030AB9CDEF', return_id: 310009, address: 'Jl. Pluit Raya No. 1, Penjaringan, Jakarta Utara 14460' }];
+    const scanned = ['2403010AB1CDEF'];
+
+    // 已收到的记录提取过地址（导出内容）
+    await AddressExtractor.extractAddresses(matched.slice(0, 1));
+    const exportBefore = plain(AddressExtractor.getAllCachedResults());
+
+    const missing = Reconciliation.findMissing(crawled, scanned);
+    assert.deepStrictEqual(plain(missing.map(record => record.return_sn)), ['2403010AB2CDEF', '2403020AB3CDEF', '2403030AB9CDEF']);
+
+    const progress = [];
+    const resolved = await AddressExtractor.lookupWarehouses(missing, update => progress.push(update.completed));
+    const report = Reconciliation.build(crawled, scanned, (sn, record) => AddressExtractor.getWarehouse(sn, record));
+
+    assert.strictEqual(resolved, 2, '记录自带地址的不需要请求');
+    assert.strictEqual(server.requests.filter(request => request.path === DETAIL_PATH).length, 3);
+    assert.deepStrictEqual(plain(report.missing.map(row => row.warehouse)), ['BI SBY', 'BI SMR', 'BI JKT']);
+    assert.strictEqual(report.received[0].warehouse, 'BI JKT');
+    assert.deepStrictEqual(plain(report.byWarehouse['BI SBY']), { received: 0, missing: 1 });
+    assert.deepStrictEqual(plain(AddressExtractor.getAllCachedResults()), exportBefore, '对账不应改变导出内容');
+
+    // 再次对账不重复请求
+    await AddressExtractor.lookupWarehouses(missing);
+    assert.strictEqual(server.requests.filter(request => request.path === DETAIL_PATH).length, 3);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules, plain } = require('./harness');
+const { loadFixture } = require('./mockServer');
+
+const fixtures = loadFixture('addresses');
+
+/**
+ * 加载地址解析模块
+ * @returns {Object} AddressParser
+ */
+function setup() {
+    return loadModules(['addressParser']).modules.AddressParser;
+}
+
+test('typical Indonesian addresses are split into every field', () => {
+    const AddressParser = setup();
+
+    fixtures.complete.forEach(({ name, address, expected }) => {
+        assert.deepStrictEqual(plain(AddressParser.parse(address)), expected, name);
+    });
+});
+
+test('partial addresses keep the fields they have and lower the confidence', () => {
+    const AddressParser = setup();
+
+    fixtures.partial.forEach(({ name, address, expected }) => {
+        const parsed = AddressParser.parse(address);
+        Object.entries(expected).forEach(([field, value]) => {
+            assert.strictEqual(parsed[field], value, `${name}: ${field}`);
+        });
+        assert.ok(parsed.confidence < 1, name);
+    });
+});
+
+test('empty or non-string input returns an empty result', () => {
+    const AddressParser = setup();
+
+    [null, undefined, '', 42].forEach(input => {
+        const parsed = AddressParser.parse(input);
+        assert.strictEqual(parsed.confidence, 0);
+        assert.ok(Object.entries(parsed).every(([field, value]) => field === 'confidence' || value === null));
+    });
+});
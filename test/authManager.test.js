@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules, plain } = require('./harness');
+const { createMockServer, LIST_PATH } = require('./mockServer');
+
+const API_URL = 'https://seller.shopee.co.id/api/v4/seller_center/return/return_list/get_exceptional_case_list';
+
+/**
+ * 创建最小化的页面 window（fetch + XMLHttpRequest）
+ * @param {number} status - 页面请求返回的状态码
+ * @returns {Object}
+ */
+function createPageWindow(status = 200) {
+    class FakeXhr {
+        open(method, url) {
+            this.url = url;
+        }
+
+        setRequestHeader() {}
+
+        addEventListener(type, listener) {
+            this.listener = listener;
+        }
+
+        send() {
+            this.status = status;
+            this.listener();
+        }
+    }
+
+    return {
+        fetch: async () => ({ status }),
+        XMLHttpRequest: FakeXhr
+    };
+}
+
+test('fetch hook captures headers from Request objects and Headers instances plus SPC_CDS params', async () => {
+    const env = loadModules(['authManager']);
+    const { AuthManager } = env.modules;
+    const pageWindow = createPageWindow();
+    AuthManager.install(pageWindow);
+
+    await pageWindow.fetch(
+        new Request(`${API_URL}?SPC_CDS=abc&SPC_CDS_VER=2&cnsc_shop_id=1001`, { headers: { 'X-CSRFToken': 'token-1' } }),
+        { headers: new Headers({ 'X-Sap-Ri': 'ri-1', 'Content-Length': '12' }) }
+    );
+    await pageWindow.fetch('https://seller.shopee.co.id/api/v3/other/list', { headers: [['X-Other', '1']] });
+
+    assert.deepStrictEqual(plain(AuthManager.state.headers), { 'x-csrftoken': 'token-1', 'x-sap-ri': 'ri-1' });
+    assert.deepStrictEqual(plain(AuthManager.getQueryParams()), { SPC_CDS: 'abc', SPC_CDS_VER: '2', cnsc_shop_id: '1001' });
+    assert.strictEqual(AuthManager.getStatus().shopId, '1001');
+    assert.strictEqual(AuthManager.getHeaders()['x-csrftoken'], 'token-1');
+    assert.ok(env.storage.has(AuthManager.config.storageKey), '捕获后应持久化');
+});
+
+test('XHR hook captures headers and marks the session expired on 401', () => {
+    const env = loadModules(['authManager']);
+    const { AuthManager } = env.modules;
+    const pageWindow = createPageWindow(401);
+    const changes = [];
+    AuthManager.install(pageWindow);
+    AuthManager.onChange(state => changes.push(state.expired));
+
+    const xhr = new pageWindow.XMLHttpRequest();
+    xhr.open('POST', `${API_URL}?SPC_CDS=xyz`);
+    xhr.setRequestHeader('X-CSRFToken', 'token-2');
+    xhr.send('{}');
+
+    assert.deepStrictEqual(changes, [false, true]);
+    assert.strictEqual(AuthManager.state.expired, true);
+    assert.strictEqual(AuthManager.hasCredentials(), false);
+    assert.strictEqual(AuthManager.getQueryParams().SPC_CDS, 'xyz');
+    assert.strictEqual(env.confirms.length, 0, '不应弹出阻塞的确认框');
+    assert.ok(env.context.document.getElementById(AuthManager.config.bannerId), '失效时应显示重新登录横幅');
+    assert.ok(!env.storage.has(AuthManager.config.storageKey));
+});
+
+test('403 is not treated as an expired login', async () => {
+    const env = loadModules(['authManager']);
+    const { AuthManager } = env.modules;
+    const pageWindow = createPageWindow(403);
+    AuthManager.install(pageWindow);
+
+    await pageWindow.fetch(`${API_URL}?SPC_CDS=abc`, { headers: { 'X-CSRFToken': 'token-4' } });
+    await Promise.resolve();
+
+    assert.strictEqual(AuthManager.state.expired, false);
+    assert.strictEqual(AuthManager.hasCredentials(), true);
+    assert.strictEqual(env.context.document.getElementById(AuthManager.config.bannerId), null);
+});
+
+test('repeated page requests with unchanged credentials do not save or notify again', async () => {
+    const env = loadModules(['authManager']);
+    const { AuthManager } = env.modules;
+    const pageWindow = createPageWindow();
+    const changes = [];
+    AuthManager.install(pageWindow);
+    AuthManager.onChange(state => changes.push(plain(state.headers)));
+
+    await pageWindow.fetch(`${API_URL}?SPC_CDS=abc`, { headers: { 'X-CSRFToken': 'token-5' } });
+    env.storage.delete(AuthManager.config.storageKey);
+    await pageWindow.fetch(`${API_URL}?SPC_CDS=abc`, { headers: { 'X-CSRFToken': 'token-5' } });
+
+    assert.strictEqual(changes.length, 1);
+    assert.ok(!env.storage.has(AuthManager.config.storageKey), '内容未变化时不应重新写入存储');
+
+    await pageWindow.fetch(`${API_URL}?SPC_CDS=def`, { headers: { 'X-CSRFToken': 'token-5' } });
+    assert.strictEqual(changes.length, 2);
+    assert.strictEqual(AuthManager.getQueryParams().SPC_CDS, 'def');
+    assert.ok(env.storage.has(AuthManager.config.storageKey));
+});
+
+test('restore keeps fresh credentials and drops ones older than maxAge', () => {
+    const fresh = loadModules(['authManager']);
+    fresh.storage.set('shopee_tool_auth', JSON.stringify({
+        headers: { 'x-csrftoken': 'saved' }, params: { SPC_CDS: 'saved' }, capturedAt: Date.now()
+    }));
+    fresh.modules.AuthManager.install(createPageWindow());
+    assert.strictEqual(fresh.modules.AuthManager.hasCredentials(), true);
+    assert.strictEqual(fresh.modules.AuthManager.getStatus().source, 'storage');
+
+    const stale = loadModules(['authManager']);
+    stale.storage.set('shopee_tool_auth', JSON.stringify({
+        headers: { 'x-csrftoken': 'saved' }, params: {}, capturedAt: Date.now() - 7 * 60 * 60 * 1000
+    }));
+    stale.modules.AuthManager.install(createPageWindow());
+    assert.strictEqual(stale.modules.AuthManager.hasCredentials(), false);
+});
+
+test('crawl uses captured params, stops on login errors and refuses to start again until re-login', async (t) => {
+    const server = createMockServer();
+    const baseUrl = await server.start();
+    t.after(() => server.stop());
+
+    const env = loadModules(['authManager', 'shopContext', 'orderCrawler'], {
+        baseUrl,
+        elements: {
+            'start-date': { value: '2024-03-01' },
+            'end-date': { value: '2024-03-05' }
+        }
+    });
+    const { AuthManager, OrderCrawler } = env.modules;
+    OrderCrawler.config.authCaptureTimeout = 0;
+    const pageWindow = createPageWindow();
+    AuthManager.install(pageWindow);
+    await pageWindow.fetch(`${API_URL}?SPC_CDS=abc`, { headers: { 'X-CSRFToken': 'token-3' } });
+
+    server.queueResponse('list', { body: { error: 2, error_msg: 'not login' } });
+    await OrderCrawler.crawlOrders();
+
+    const requests = server.requests.filter(request => request.path === LIST_PATH);
+    assert.strictEqual(requests.length, 1, '登录失效不应重试');
+    assert.strictEqual(requests[0].query, '?SPC_CDS=abc');
+    assert.strictEqual(requests[0].headers['x-csrftoken'], 'token-3');
+    assert.match(OrderCrawler.getCrawlStatus().error, /登录已失效/);
+    assert.strictEqual(AuthManager.state.expired, true);
+
+    await assert.rejects(OrderCrawler.getAuthHeaders(), error => error.authExpired === true);
+    assert.strictEqual(env.context.document.body.children.length, 1, '同一次失效只显示一个横幅');
+
+    // 重新登录后页面请求带出新的认证信息，横幅自动移除
+    await pageWindow.fetch(`${API_URL}?SPC_CDS=new`, { headers: { 'X-CSRFToken': 'token-6' } });
+    assert.strictEqual(AuthManager.state.expired, false);
+    assert.strictEqual(env.context.document.body.children.length, 0);
+});
@@ -0,0 +1,155 @@
+/**
+ * Node 测试工具
+ * 在 vm 上下文中加载用户脚本模块，并注入浏览器/Tampermonkey 环境的替代实现：
+ * - GM_getValue / GM_setValue / GM_deleteValue / GM_listValues：内存存储
+ * - document / window / location / alert / confirm：最小化的假对象（confirm 总是返回 false）
+ * - ShopeeUtils 请求后端：转发到本地 mock 服务器
+ * - ShopeeUtils.sleep：立即返回，避免测试等待
+ *
+ * 运行（仓库根目录）：npm test（helper 文件 harness.js / mockServer.js 只导出工具，被 node --test 加载时不产生测试）
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const MODULE_DIR = path.join(__dirname, '..', 'main');
+
+/**
+ * 创建最小化的 document
+ * 添加到 body 的元素可以通过 getElementById 找到
+ * @param {Object} elements - id -> 元素（如 {'start-date': {value: '2024-01-01'}}）
+ * @returns {Object}
+ */
+function createDocument(elements = {}) {
+    const body = {
+        children: [],
+        appendChild(child) {
+            body.children.push(child);
+        },
+        removeChild(child) {
+            body.children = body.children.filter(item => item !== child);
+        }
+    };
+
+    return {
+        cookie: '',
+        getElementById: id => elements[id] || body.children.find(child => child.id && child.id === id) || null,
+        querySelector: () => null,
+        createElement: () => {
+            const element = {
+                style: {}, dataset: {}, listeners: {},
+                appendChild() {}, click() {},
+                addEventListener(type, listener) {
+                    element.listeners[type] = listener;
+                },
+                remove() {
+                    body.removeChild(element);
+                }
+            };
+            return element;
+        },
+        body
+    };
+}
+
+/**
+ * 创建请求后端，将请求转发到 mock 服务器
+ * 只替换协议和域名，保留路径和查询参数
+ * @param {string} baseUrl - mock 服务器地址
+ * @returns {Function}
+ */
+function createForwardingBackend(baseUrl) {
+    return async (request) => {
+        const url = new URL(request.url);
+        const response = await fetch(`${baseUrl}${url.pathname}${url.search}`, {
+            method: request.method,
+            headers: request.headers,
+            body: request.body,
+            signal: request.signal
+        });
+        const headers = {};
+        response.headers.forEach((value, name) => {
+            headers[name] = value;
+        });
+        return { status: response.status, headers, text: await response.text() };
+    };
+}
+
+/**
+ * 在独立上下文中加载模块
+ * regions.js 和 utils.js 总是最先加载
+ * @param {Array} moduleNames - 要加载的文件名（不含 .js）
+ * @param {Object} options - {baseUrl, host, search, elements, globals}
+ * @returns {Object} {modules, context, storage, alerts, confirms, logs}
+ */
+function loadModules(moduleNames, options = {}) {
+    const storage = new Map();
+    const alerts = [];
+    const confirms = [];
+    const logs = [];
+
+    const context = {
+        console: { log: (...args) => logs.push(args.join(' ')), warn() {}, error() {} },
+        setTimeout, clearTimeout, setInterval, clearInterval,
+        URL, URLSearchParams, TextEncoder, TextDecoder, AbortController,
+        location: { host: options.host || 'seller.shopee.co.id', search: options.search || '' },
+        document: createDocument(options.elements),
+        alert: message => alerts.push(message),
+        confirm: message => {
+            confirms.push(message);
+            return false;
+        },
+        GM_getValue: (key, defaultValue) => (storage.has(key) ? storage.get(key) : defaultValue),
+        GM_setValue: (key, value) => storage.set(key, value),
+        GM_deleteValue: key => storage.delete(key),
+        GM_listValues: () => [...storage.keys()],
+        ...options.globals
+    };
+    context.window = context;
+    context.fetch = () => Promise.reject(new Error('页面请求在测试中不可用'));
+    vm.createContext(context);
+
+    const names = ['regions', 'utils', ...moduleNames.filter(name => name !== 'regions' && name !== 'utils')];
+    names.forEach(name => {
+        const file = path.join(MODULE_DIR, `${name}.js`);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    });
+
+    const globalName = {
+        regions: 'ShopeeRegions',
+        utils: 'ShopeeUtils',
+        orderCrawler: 'OrderCrawler',
+        snMatcher: 'SNMatcher',
+        addressParser: 'AddressParser',
+        warehouseRules: 'WarehouseRules',
+        addressExtractor: 'AddressExtractor',
+        reconciliation: 'Reconciliation',
+        authManager: 'AuthManager',
+        shopContext: 'ShopContext',
+        jobController: 'JobController',
+        scanStation: 'ScanStation'
+    };
+    const modules = {};
+    names.forEach(name => {
+        modules[globalName[name]] = vm.runInContext(globalName[name], context);
+    });
+
+    modules.ShopeeUtils.sleep = () => Promise.resolve();
+    if (options.baseUrl) {
+        modules.ShopeeUtils.registerRequestBackend('forward', createForwardingBackend(options.baseUrl));
+        modules.ShopeeUtils.setRequestBackend('forward');
+    }
+
+    return { modules, context, storage, alerts, confirms, logs };
+}
+
+/**
+ * 将上下文中的对象转为普通对象（vm 上下文的数组/对象原型与测试进程不同，无法直接 deepStrictEqual）
+ * @param {*} value
+ * @returns {*}
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadModules, createDocument, createForwardingBackend, plain };
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules } = require('./harness');
+
+/**
+ * 加载任务控制模块
+ * @returns {Object} JobController
+ */
+function setup() {
+    return loadModules(['jobController']).modules.JobController;
+}
+
+test('waitUntilRunning blocks while paused and continues after resume', async () => {
+    const JobController = setup();
+    const job = JobController.start('测试任务');
+    let passed = false;
+
+    job.pause();
+    const waiting = job.waitUntilRunning().then(() => { passed = true; });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.strictEqual(passed, false);
+
+    JobController.togglePause();
+    await waiting;
+    assert.strictEqual(passed, true);
+    assert.strictEqual(job.state, 'running');
+});
+
+test('cancel aborts the signal and releases paused waiters with an AbortError', async () => {
+    const JobController = setup();
+    const job = JobController.start('测试任务');
+
+    job.pause();
+    const waiting = job.waitUntilRunning();
+    JobController.cancel();
+
+    await assert.rejects(waiting, error => error.name === 'AbortError' && error.retryable === false);
+    assert.strictEqual(job.signal.aborted, true);
+    assert.strictEqual(job.isCancelled(), true);
+});
+
+test('only one job runs at a time and listeners see every state change', () => {
+    const JobController = setup();
+    const seen = [];
+    JobController.onChange(job => seen.push(job.state));
+
+    const job = JobController.start('测试任务');
+    assert.throws(() => JobController.start('另一个任务'), /任务正在运行/);
+
+    job.pause();
+    job.resume();
+    JobController.finish(job);
+
+    assert.strictEqual(JobController.current, null);
+    assert.deepStrictEqual(seen, ['running', 'paused', 'running', 'finished']);
+    assert.doesNotThrow(() => JobController.finish(JobController.start('另一个任务')));
+});
@@ -0,0 +1,137 @@
+/**
+ * 本地 mock Shopee 卖家中心接口
+ * - get_exceptional_case_list：按 cursor_offset 回放录制的分页，按 keyword 查询单个SN
+ * - get_return_detail：按 return_id 回放录制的详情
+ * - queueResponse 可插入一次性的错误响应（HTTP 状态码或业务错误）
+ */
+const http = require('http');
+const path = require('path');
+
+const LIST_PATH = '/api/v4/seller_center/return/return_list/get_exceptional_case_list';
+const DETAIL_PATH = '/api/v4/seller_center/return/return_detail/get_return_detail';
+
+/**
+ * 读取录制的响应
+ * @param {string} name - fixtures 目录下的文件名（不含 .json）
+ * @returns {Object}
+ */
+function loadFixture(name) {
+    return require(path.join(__dirname, 'fixtures', `${name}.json`));
+}
+
+/**
+ * 创建 mock 服务器
+ * @param {Object} fixtures - {pages: [列表响应], details: {return_id: 详情响应}}
+ * @returns {Object} {start, stop, queueResponse, requests}
+ */
+function createMockServer(fixtures = {}) {
+    const pages = fixtures.pages || loadFixture('exceptional_case_list').pages;
+    const details = fixtures.details || loadFixture('return_detail').details;
+    const queued = { list: [], detail: [] };
+    const requests = [];
+    let server = null;
+
+    const send = (res, status, body, headers = {}) => {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    };
+
+    const sendQueued = (res, response) => {
+        send(res, response.status || 200, response.body || {}, response.headers);
+    };
+
+    const handleList = (res, payload) => {
+        if (queued.list.length > 0) {
+            sendQueued(res, queued.list.shift());
+            return;
+        }
+
+        // 按SN查询：在所有页中查找，单页返回
+        if (payload.keyword) {
+            const items = pages.flatMap(page => page.data.exceptional_case_list)
+                .filter(item => item.return_sn === payload.keyword);
+            send(res, 200, {
+                error: 0,
+                data: { exceptional_case_list: items },
+                pagination_info: { has_more: false }
+            });
+            return;
+        }
+
+        const offset = payload.cursor ? payload.cursor.cursor_offset : 0;
+        const page = pages.find(item => item.offset === offset);
+        if (!page) {
+            send(res, 200, { error: 0, data: { exceptional_case_list: [] }, pagination_info: { has_more: false } });
+            return;
+        }
+        send(res, 200, { error: 0, data: page.data, pagination_info: page.pagination_info });
+    };
+
+    const handleDetail = (res, url) => {
+        if (queued.detail.length > 0) {
+            sendQueued(res, queued.detail.shift());
+            return;
+        }
+
+        const returnId = url.searchParams.get('return_id');
+        if (details[returnId]) {
+            send(res, 200, details[returnId]);
+        } else {
+            send(res, 200, { error: 404, error_msg: 'return not found' });
+        }
+    };
+
+    const handler = (req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            const payload = body ? JSON.parse(body) : null;
+            requests.push({ method: req.method, path: url.pathname, query: url.search, payload, headers: req.headers });
+
+            if (req.method === 'POST' && url.pathname === LIST_PATH) {
+                handleList(res, payload);
+            } else if (req.method === 'GET' && url.pathname === DETAIL_PATH) {
+                handleDetail(res, url);
+            } else {
+                send(res, 404, { error: 404, error_msg: 'not found' });
+            }
+        });
+    };
+
+    return {
+        requests,
+
+        /**
+         * 启动服务器（随机端口）
+         * @returns {Promise<string>} 服务器地址
+         */
+        start() {
+            return new Promise(resolve => {
+                server = http.createServer(handler);
+                server.listen(0, '127.0.0.1', () => {
+                    resolve(`http://127.0.0.1:${server.address().port}`);
+                });
+            });
+        },
+
+        /**
+         * 停止服务器
+         * @returns {Promise<void>}
+         */
+        stop() {
+            return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+        },
+
+        /**
+         * 插入一次性响应，按顺序在下一次请求时返回
+         * @param {string} route - list | detail
+         * @param {Object} response - {status, body, headers}
+         */
+        queueResponse(route, response) {
+            queued[route].push(response);
+        }
+    };
+}
+
+module.exports = { createMockServer, loadFixture, LIST_PATH, DETAIL_PATH };
@@ -0,0 +1,369 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules, plain } = require('./harness');
+const { createMockServer, loadFixture, LIST_PATH } = require('./mockServer');
+
+const errors = loadFixture('exceptional_case_list').errors;
+
+/**
+ * 启动 mock 服务器并加载爬取模块
+ * @param {Object} t - node:test 上下文
+ * @returns {Promise<Object>}
+ */
+async function setup(t) {
+    const server = createMockServer();
+    const baseUrl = await server.start();
+    t.after(() => server.stop());
+
+    const env = loadModules(['authManager', 'shopContext', 'orderCrawler', 'jobController'], {
+        baseUrl,
+        elements: {
+            'start-date': { value: '2024-03-01' },
+            'end-date': { value: '2024-03-05' }
+        }
+    });
+    const { OrderCrawler } = env.modules;
+    OrderCrawler.config.authCaptureTimeout = 0;
+    OrderCrawler.config.retryDelay = 1;
+    OrderCrawler.config.throttleDelay = 1;
+
+    return { server, env, OrderCrawler };
+}
+
+const listRequests = server => server.requests.filter(request => request.path === LIST_PATH);
+
+test('crawlOrders follows cursor pagination until has_more is false', async (t) => {
+    const { server, env, OrderCrawler } = await setup(t);
+
+    const data = await OrderCrawler.crawlOrders();
+
+    assert.deepStrictEqual(plain(data.map(item => item.return_sn)), [
+        '2403010AB1CDEF', '2403010AB2CDEF', '2403020AB3CDEF', '2403020AB4CDEF', '2403040AB5CDEF'
+    ]);
+    assert.deepStrictEqual(
+        listRequests(server).map(request => request.payload.cursor ? request.payload.cursor.cursor_offset : 0),
+        [0, 50, 100]
+    );
+    assert.strictEqual(OrderCrawler.getCachedMap().get('2403020AB3CDEF'), 310003);
+    assert.strictEqual(OrderCrawler.getCrawlStatus().complete, true);
+    assert.strictEqual(OrderCrawler.hasCheckpoint(), false);
+    assert.strictEqual(env.storage.size, 1, '完整爬取后只保留持久化缓存');
+});
+
+test('crawlOrders projects configured fields and drops invalid records', async (t) => {
+    const { OrderCrawler } = await setup(t);
+
+    const data = await OrderCrawler.crawlOrders();
+
+    assert.deepStrictEqual(plain(data[0]), {
+        return_id: 310001,
+        return_sn: '2403010AB1CDEF',
+        create_time: 1709280000,
+        return_reason: 1,
+        refund_amount: 125000,
+        status: 2,
+        buyer_username: 'budi.s',
+        tracking_number: 'SPXID0401'
+    });
+    assert.strictEqual(OrderCrawler.getCachedData().length, 5);
+});
+
+test('crawlOrders retries throttled and server errors', async (t) => {
+    const { server, OrderCrawler } = await setup(t);
+    server.queueResponse('list', errors.throttled);
+    server.queueResponse('list', errors.server);
+
+    const data = await OrderCrawler.crawlOrders();
+
+    assert.strictEqual(data.length, 5);
+    assert.strictEqual(listRequests(server).length, 5);
+    assert.strictEqual(OrderCrawler.getCrawlStatus().complete, true);
+});
+
+test('crawlOrders stops on auth errors and resumeCrawl continues from the failed page', async (t) => {
+    const { server, OrderCrawler } = await setup(t);
+
+    // 第1页成功，第2页返回 403（不重试）
+    const firstPage = loadFixture('exceptional_case_list').pages[0];
+    server.queueResponse('list', { body: { error: 0, data: firstPage.data, pagination_info: firstPage.pagination_info } });
+    server.queueResponse('list', errors.auth);
+
+    await OrderCrawler.crawlOrders();
+
+    const status = OrderCrawler.getCrawlStatus();
+    assert.strictEqual(listRequests(server).length, 2, '认证错误不应重试');
+    assert.strictEqual(status.complete, false);
+    assert.strictEqual(status.failedPage, 2);
+    assert.strictEqual(status.failedOffset, 50);
+    assert.strictEqual(OrderCrawler.getCachedData().length, 2);
+    assert.strictEqual(OrderCrawler.hasCheckpoint(), true);
+
+    const resumed = await OrderCrawler.resumeCrawl();
+
+    assert.strictEqual(resumed.length, 5);
+    assert.strictEqual(listRequests(server)[2].payload.cursor.cursor_offset, 50);
+    assert.strictEqual(OrderCrawler.getCrawlStatus().complete, true);
+    assert.strictEqual(OrderCrawler.hasCheckpoint(), false);
+});
+
+test('cancelling a crawl keeps fetched pages and resumeCrawl continues from the checkpoint', async (t) => {
+    const { server, env, OrderCrawler } = await setup(t);
+    const { ShopeeUtils, JobController } = env.modules;
+    const job = JobController.start('订单爬取');
+    const uiLogs = [];
+    ShopeeUtils.addLogToUI = (message, type) => uiLogs.push({ message, type });
+
+    // 第1页返回后取消
+    ShopeeUtils.addRequestHook('response', () => job.cancel());
+    await OrderCrawler.crawlOrders({ control: job });
+    JobController.finish(job);
+
+    const status = OrderCrawler.getCrawlStatus();
+    assert.strictEqual(listRequests(server).length, 1, '取消后不应再请求下一页');
+    assert.strictEqual(status.complete, false);
+    assert.strictEqual(status.failedPage, 2);
+    assert.strictEqual(status.cancelled, true);
+    assert.strictEqual(status.error, null, '取消不应记录为错误');
+    assert.ok(!uiLogs.some(entry => entry.type === 'error'), '取消不应输出错误日志');
+    assert.ok(uiLogs.some(entry => /爬取已取消/.test(entry.message)));
+    assert.strictEqual(OrderCrawler.getCachedData().length, 2);
+    assert.strictEqual(OrderCrawler.hasCheckpoint(), true);
+
+    ShopeeUtils.requestClient.hooks.response = [];
+    const resumed = await OrderCrawler.resumeCrawl(JobController.start('订单爬取'));
+
+    assert.strictEqual(resumed.length, 5);
+    assert.strictEqual(listRequests(server)[1].payload.cursor.cursor_offset, 50);
+    assert.strictEqual(OrderCrawler.hasCheckpoint(), false);
+});
+
+test('an incremental crawl merges new records and updates the status of existing ones', async (t) => {
+    const { server, OrderCrawler } = await setup(t);
+    await OrderCrawler.crawlOrders();
+    const latestCreateTime = OrderCrawler.cache.latestCreateTime;
+    const cachedRange = plain(OrderCrawler.getCacheInfo().dateRange);
+
+    server.queueResponse('list', {
+        body: {
+            error: 0,
+            data: {
+                exceptional_case_list: [
+                    { return_id: 310005, return_sn: '2403040AB5CDEF', create_time: latestCreateTime, status: 5 },
+                    { return_id: 320001, return_sn: '2403050AB6CDEF', create_time: latestCreateTime + 3600, status: 1 }
+                ]
+            },
+            pagination_info: { has_more: false }
+        }
+    });
+    await OrderCrawler.crawlOrders({ incremental: true });
+
+    const request = listRequests(server).pop();
+    assert.strictEqual(request.payload.create_time_range.lower_value, latestCreateTime, '增量爬取从缓存中最新的创建时间开始');
+    const records = OrderCrawler.getCachedRecordMap();
+    assert.strictEqual(OrderCrawler.getCachedData().length, 6);
+    assert.strictEqual(records.get('2403040AB5CDEF').status, 5, '已有记录的状态应更新');
+    assert.strictEqual(records.get('2403010AB1CDEF').status, 2, '未返回的已有记录保留');
+    assert.strictEqual(OrderCrawler.getCachedMap().get('2403050AB6CDEF'), 320001);
+    assert.strictEqual(OrderCrawler.cache.latestCreateTime, latestCreateTime + 3600);
+    assert.deepStrictEqual(plain(OrderCrawler.getCacheInfo().dateRange), cachedRange);
+});
+
+test('incremental mode is rejected when the selected date range does not match the cache', async (t) => {
+    const { server, env, OrderCrawler } = await setup(t);
+    await OrderCrawler.crawlOrders();
+    const cachedRange = plain(OrderCrawler.getCacheInfo().dateRange);
+
+    env.context.document.getElementById('start-date').value = '2024-02-20';
+    const before = listRequests(server).length;
+    await OrderCrawler.crawlOrders({ incremental: true });
+
+    const request = listRequests(server)[before];
+    const dateRange = plain(OrderCrawler.getCacheInfo().dateRange);
+    assert.ok(dateRange.lower_value < cachedRange.lower_value);
+    assert.strictEqual(request.payload.create_time_range.lower_value, dateRange.lower_value, '范围不一致时应完整爬取所选范围');
+    assert.strictEqual(OrderCrawler.getCrawlStatus().complete, true);
+    assert.strictEqual(OrderCrawler.canCrawlIncrementally(OrderCrawler.cache.filters, cachedRange), false);
+});
+
+test('an interrupted incremental crawl keeps its checkpoint and can be resumed', async (t) => {
+    const { server, OrderCrawler } = await setup(t);
+    await OrderCrawler.crawlOrders();
+    assert.strictEqual(OrderCrawler.getCachedData().length, 5);
+
+    // 增量爬取第1页成功，第2页失败
+    const firstPage = loadFixture('exceptional_case_list').pages[0];
+    server.queueResponse('list', { body: { error: 0, data: firstPage.data, pagination_info: firstPage.pagination_info } });
+    server.queueResponse('list', errors.auth);
+    await OrderCrawler.crawlOrders({ incremental: true });
+
+    assert.strictEqual(OrderCrawler.getCrawlStatus().complete, false);
+    assert.strictEqual(OrderCrawler.hasCheckpoint(), true);
+    assert.strictEqual(OrderCrawler.getCheckpoint().incremental, true);
+
+    const resumed = await OrderCrawler.resumeCrawl();
+
+    assert.strictEqual(resumed.length, 5);
+    assert.strictEqual(listRequests(server).pop().payload.cursor.cursor_offset, 100);
+    assert.strictEqual(OrderCrawler.getCrawlStatus().complete, true);
+    assert.strictEqual(OrderCrawler.hasCheckpoint(), false);
+});
+
+test('checkpoints save each page as a delta and expire with the cache TTL', async (t) => {
+    const { server, env, OrderCrawler } = await setup(t);
+    const checkpointKey = OrderCrawler.getCheckpointKey();
+    const writes = [];
+    const set = env.storage.set.bind(env.storage);
+    env.storage.set = (key, value) => {
+        if (key.startsWith(checkpointKey)) writes.push({ key, value: JSON.parse(value) });
+        return set(key, value);
+    };
+
+    // 第1页成功，第2页失败：检查点已包含第1页
+    const firstPage = loadFixture('exceptional_case_list').pages[0];
+    server.queueResponse('list', { body: { error: 0, data: firstPage.data, pagination_info: firstPage.pagination_info } });
+    server.queueResponse('list', errors.auth);
+    await OrderCrawler.crawlOrders();
+
+    // 继续爬取一页后取消：只写入该页的数据，进度记录不含数据
+    writes.length = 0;
+    const resumeJob = env.modules.JobController.start('订单爬取');
+    env.modules.ShopeeUtils.addRequestHook('response', () => resumeJob.cancel());
+    await OrderCrawler.resumeCrawl(resumeJob);
+    env.modules.JobController.finish(resumeJob);
+
+    const pageWrites = writes.filter(write => write.key.includes(':page:'));
+    assert.deepStrictEqual(pageWrites.map(write => write.key), [OrderCrawler.getCheckpointPageKey('default', 1)]);
+    assert.strictEqual(pageWrites[0].value.data.length, 2, '只写入新一页的数据');
+    assert.ok(!('data' in writes.find(write => write.key === checkpointKey).value), '进度记录不应包含数据');
+
+    const checkpoint = OrderCrawler.getCheckpoint();
+    assert.strictEqual(checkpoint.page, 3);
+    assert.strictEqual(checkpoint.offset, 100);
+    assert.deepStrictEqual(plain(checkpoint.data.map(item => item.return_id)), [310001, 310002, 0, 310003, 310004]);
+
+    // 过期的检查点连同各页数据一起删除
+    const header = JSON.parse(env.storage.get(checkpointKey));
+    header.savedAt = Date.now() - OrderCrawler.config.cacheTTL - 1;
+    set(checkpointKey, JSON.stringify(header));
+    OrderCrawler.purgeExpiredCache();
+    assert.strictEqual(OrderCrawler.hasCheckpoint(), false, '过期的检查点不应再继续');
+    assert.ok(![...env.storage.keys()].some(key => key.startsWith(checkpointKey)));
+});
+
+test('a paused crawl waits between pages until resumed', async (t) => {
+    const { server, env, OrderCrawler } = await setup(t);
+    const { JobController } = env.modules;
+    const job = JobController.start('订单爬取');
+
+    job.pause();
+    const crawling = OrderCrawler.crawlOrders({ control: job });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.strictEqual(listRequests(server).length, 0);
+
+    job.resume();
+    const data = await crawling;
+
+    assert.strictEqual(data.length, 5);
+    assert.strictEqual(OrderCrawler.getCrawlStatus().complete, true);
+});
+
+test('crawlOrders records business errors in the crawl status', async (t) => {
+    const { server, env, OrderCrawler } = await setup(t);
+    server.queueResponse('list', errors.business);
+    OrderCrawler.config.maxRetries = 0;
+
+    await OrderCrawler.crawlOrders();
+
+    assert.strictEqual(listRequests(server).length, 1);
+    assert.strictEqual(OrderCrawler.getCrawlStatus().error, 'invalid param');
+    assert.strictEqual(env.alerts.length, 0);
+});
+
+test('lookupReturnSns keeps hits apart from the date-range cache and reports missing SNs', async (t) => {
+    const { env, OrderCrawler } = await setup(t);
+    OrderCrawler.authHeaders = { 'X-Test': '1' };
+
+    const result = await OrderCrawler.lookupReturnSns(['2403040AB5CDEF', 'NOTEXIST01']);
+
+    assert.deepStrictEqual(plain(result.found.map(item => item.return_sn)), ['2403040AB5CDEF']);
+    assert.deepStrictEqual(plain(result.notFound), ['NOTEXIST01']);
+    assert.strictEqual(OrderCrawler.getCachedMap().get('2403040AB5CDEF'), 310005);
+    assert.strictEqual(OrderCrawler.getCachedRecordMap().get('2403040AB5CDEF').return_id, 310005);
+    assert.strictEqual(OrderCrawler.getCachedData().length, 0, '查询结果不应混入日期范围缓存');
+    assert.strictEqual(OrderCrawler.getCacheInfo().dateRange, null);
+
+    // 爬取后查询结果仍单独保存，可用于匹配
+    await OrderCrawler.crawlOrders();
+    assert.strictEqual(OrderCrawler.getCacheInfo().lookupCount, 1);
+    assert.strictEqual(OrderCrawler.getCachedMap().get('2403040AB5CDEF'), 310005);
+    assert.ok(env.storage.has(`${OrderCrawler.config.lookupPrefix}:default`));
+
+    OrderCrawler.cache.lookupHits.clear();
+    OrderCrawler.restoreLatestCache();
+    assert.strictEqual(OrderCrawler.getLookupHits().length, 1, '查询结果应可从本地恢复');
+});
+
+test('lookupReturnSns stops at the first 401 and reports the expiry once', async (t) => {
+    const { server, env, OrderCrawler } = await setup(t);
+    OrderCrawler.authHeaders = { 'X-Test': '1' };
+    const uiLogs = [];
+    env.modules.ShopeeUtils.addLogToUI = (message, type) => uiLogs.push({ message, type });
+
+    server.queueResponse('list', { status: 401, body: { error: 401, error_msg: 'unauthorized' } });
+    const result = await OrderCrawler.lookupReturnSns(['2403040AB5CDEF', '2403010AB1CDEF', 'NOTEXIST01']);
+
+    assert.strictEqual(listRequests(server).length, 1, '登录失效后不应继续查询');
+    assert.strictEqual(result.authExpired, true);
+    assert.deepStrictEqual(plain(result.failed.map(item => item.sn)), ['2403040AB5CDEF', '2403010AB1CDEF', 'NOTEXIST01']);
+    assert.strictEqual(result.notFound.length, 0);
+    assert.strictEqual(uiLogs.filter(entry => /登录已失效/.test(entry.message)).length, 2, '失效标记和停止查询各提示一次');
+    assert.strictEqual(env.modules.AuthManager.state.expired, true);
+});
+
+test('splitDateRange splits a long range into contiguous windows of at most chunkDays', async (t) => {
+    const { OrderCrawler } = await setup(t);
+    const day = 24 * 60 * 60;
+    const lower = 1709226000;
+
+    const windows = plain(OrderCrawler.splitDateRange({ lower_value: lower, upper_value: lower + 17 * day - 1 }, 7));
+    assert.deepStrictEqual(windows, [
+        { lower_value: lower, upper_value: lower + 7 * day - 1 },
+        { lower_value: lower + 7 * day, upper_value: lower + 14 * day - 1 },
+        { lower_value: lower + 14 * day, upper_value: lower + 17 * day - 1 }
+    ]);
+
+    // 恰好等于窗口上限时不拆出空窗口
+    assert.strictEqual(OrderCrawler.splitDateRange({ lower_value: lower, upper_value: lower + 14 * day - 1 }, 7).length, 2);
+    assert.strictEqual(OrderCrawler.splitDateRange({ lower_value: lower, upper_value: lower + 7 * day - 1 }, 7).length, 1);
+    assert.strictEqual(OrderCrawler.splitDateRange({ lower_value: lower, upper_value: lower + 30 * day }, 0).length, 1);
+});
+
+test('records returned by two adjacent windows are merged once with the later copy kept', async (t) => {
+    const { server, env, OrderCrawler } = await setup(t);
+    env.context.document.getElementById('end-date').value = '2024-03-10';
+
+    const page = records => ({
+        body: { error: 0, data: { exceptional_case_list: records }, pagination_info: { has_more: false } }
+    });
+    server.queueResponse('list', page([
+        { return_id: 310001, return_sn: '2403010AB1CDEF', create_time: 1709280000, status: 1 },
+        { return_id: 310002, return_sn: '2403010AB2CDEF', create_time: 1709827199, status: 1 }
+    ]));
+    server.queueResponse('list', page([
+        { return_id: 310002, return_sn: '2403010AB2CDEF', create_time: 1709827199, status: 4 },
+        { return_id: 310003, return_sn: '2403080AB3CDEF', create_time: 1709900000, status: 1 }
+    ]));
+
+    const data = await OrderCrawler.crawlOrders();
+
+    const requests = listRequests(server);
+    assert.strictEqual(requests.length, 2, '10 天的范围按 7 天拆分为 2 个窗口');
+    assert.strictEqual(
+        requests[1].payload.create_time_range.lower_value,
+        requests[0].payload.create_time_range.upper_value + 1,
+        '相邻窗口首尾相接'
+    );
+    assert.deepStrictEqual(plain(data.map(item => item.return_sn)), ['2403010AB1CDEF', '2403010AB2CDEF', '2403080AB3CDEF']);
+    assert.strictEqual(OrderCrawler.getCachedRecordMap().get('2403010AB2CDEF').status, 4, '重复记录以后一个窗口为准');
+    assert.strictEqual(OrderCrawler.getCrawlStatus().complete, true);
+});
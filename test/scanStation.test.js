@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules, plain } = require('./harness');
+
+/**
+ * 模拟扫码枪输入：逐个字符按键后回车
+ * @param {Object} ScanStation - 扫码模块
+ * @param {string} text - 扫描内容
+ * @param {Object} target - 事件目标
+ * @returns {Array} 每次按键的事件
+ */
+function typeScan(ScanStation, text, target) {
+    const events = [...text, 'Enter'].map(key => ({
+        key, target, defaultPrevented: false,
+        preventDefault() { this.defaultPrevented = true; },
+        stopPropagation() {}
+    }));
+    events.forEach(event => ScanStation.handleKeydown(event));
+    return events;
+}
+
+test('scans outside editable elements are processed and the final Enter is suppressed', () => {
+    const { modules } = loadModules(['authManager', 'shopContext', 'orderCrawler', 'snMatcher', 'scanStation']);
+    const { ScanStation } = modules;
+    ScanStation.config.sound = false;
+
+    const events = typeScan(ScanStation, '2403010AB1CDEF', { tagName: 'DIV' });
+
+    assert.deepStrictEqual(plain(ScanStation.session.scans.map(scan => scan.return_sn)), ['2403010AB1CDEF']);
+    assert.strictEqual(events[events.length - 1].defaultPrevented, true);
+});
+
+test('key events in editable elements are left to the element and not treated as scans', () => {
+    const { modules } = loadModules(['authManager', 'shopContext', 'orderCrawler', 'snMatcher', 'scanStation']);
+    const { ScanStation } = modules;
+    ScanStation.config.sound = false;
+
+    [{ tagName: 'INPUT' }, { tagName: 'textarea' }, { tagName: 'SELECT' }, { tagName: 'DIV', isContentEditable: true }]
+        .forEach(target => {
+            const events = typeScan(ScanStation, '2403010AB1CDEF', target);
+            assert.ok(events.every(event => !event.defaultPrevented), `${target.tagName} 中的按键不应被拦截`);
+        });
+
+    assert.strictEqual(ScanStation.session.scans.length, 0);
+    assert.strictEqual(ScanStation.state.buffer, '');
+});
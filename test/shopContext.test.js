@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules, plain } = require('./harness');
+const { createMockServer, loadFixture, LIST_PATH } = require('./mockServer');
+
+/**
+ * 启动 mock 服务器并加载爬取、匹配模块（页面店铺为 1001）
+ * @param {Object} t - node:test 上下文
+ * @returns {Promise<Object>}
+ */
+async function setup(t) {
+    const server = createMockServer();
+    const baseUrl = await server.start();
+    t.after(() => server.stop());
+
+    const env = loadModules(['authManager', 'shopContext', 'orderCrawler', 'snMatcher'], {
+        baseUrl,
+        search: '?cnsc_shop_id=1001',
+        elements: {
+            'start-date': { value: '2024-03-01' },
+            'end-date': { value: '2024-03-05' }
+        }
+    });
+    env.modules.OrderCrawler.config.authCaptureTimeout = 0;
+
+    return { server, env, ...env.modules };
+}
+
+test('crawl caches and checkpoints are kept per shop', async (t) => {
+    const { server, env, ShopContext, OrderCrawler } = await setup(t);
+
+    await OrderCrawler.crawlOrders();
+    assert.strictEqual(OrderCrawler.getCachedMap().size, 5);
+    assert.strictEqual(OrderCrawler.getCachedShopId(), '1001');
+
+    ShopContext.select('2002');
+    assert.strictEqual(OrderCrawler.getCachedMap().size, 0, '切换店铺后不应看到其他店铺的数据');
+    assert.strictEqual(OrderCrawler.restoreLatestCache(), false);
+
+    // 手动选择的店铺通过 cnsc_shop_id 指定
+    const firstPage = loadFixture('exceptional_case_list').pages[0];
+    server.queueResponse('list', { body: { error: 0, data: firstPage.data, pagination_info: firstPage.pagination_info } });
+    server.queueResponse('list', { status: 403 });
+    await OrderCrawler.crawlOrders();
+    const lastRequest = server.requests.filter(request => request.path === LIST_PATH).pop();
+    assert.match(lastRequest.query, /cnsc_shop_id=2002/);
+    assert.ok(env.storage.has(OrderCrawler.getCheckpointKey('2002')));
+    assert.ok(!env.storage.has(OrderCrawler.getCheckpointKey('1001')));
+
+    ShopContext.select(null);
+    assert.strictEqual(OrderCrawler.getCachedMap().size, 5);
+    assert.strictEqual(OrderCrawler.hasCheckpoint(), false);
+    assert.deepStrictEqual(plain(ShopContext.getKnownShops().map(shop => shop.id)).sort(), ['1001', '2002']);
+});
+
+test('switching shops between crawl and match only matches against the selected shop', async (t) => {
+    const { env, ShopContext, OrderCrawler, SNMatcher } = await setup(t);
+    await OrderCrawler.crawlOrders();
+
+    ShopContext.select('2002');
+    const other = SNMatcher.matchReturnSns(['2403010AB1CDEF'], OrderCrawler.getCachedMap(), OrderCrawler.getCachedRecordMap());
+    assert.strictEqual(other.matched.length, 0, '店铺 2002 没有爬取数据，不应用到店铺 1001 的数据');
+    assert.match(env.alerts[0], /请先爬取订单/);
+
+    ShopContext.select(null);
+    const own = SNMatcher.matchReturnSns(['2403010AB1CDEF'], OrderCrawler.getCachedMap(), OrderCrawler.getCachedRecordMap());
+    assert.strictEqual(own.matched.length, 1);
+
+    ShopContext.select('2002');
+    assert.strictEqual(SNMatcher.getMatchedResults().length, 0, '匹配结果同样按店铺保存');
+});
+
+test('matching rejects crawled data that belongs to another shop', async (t) => {
+    const { env, ShopContext, OrderCrawler, SNMatcher } = await setup(t);
+    await OrderCrawler.crawlOrders();
+    const crawledMap = OrderCrawler.getCachedMap();
+    const recordMap = OrderCrawler.getCachedRecordMap();
+    const crawledShopId = OrderCrawler.getCachedShopId();
+
+    // 店铺 1001 的数据被传给店铺 2002 的匹配
+    ShopContext.select('2002');
+    const rejected = SNMatcher.matchReturnSns(['2403010AB1CDEF'], crawledMap, recordMap, crawledShopId);
+    assert.strictEqual(rejected.matched.length, 0);
+    assert.deepStrictEqual(plain(rejected.unmatched), ['2403010AB1CDEF']);
+    assert.match(env.alerts[0], /属于店铺 1001，当前店铺为 2002/);
+    assert.strictEqual(SNMatcher.getReturnId('2403010AB1CDEF'), null);
+
+    ShopContext.select(null);
+    const own = SNMatcher.matchReturnSns(['2403010AB1CDEF'], crawledMap, recordMap, crawledShopId);
+    assert.strictEqual(own.matched.length, 1);
+});
+
+test('a crawl that finishes after the shop changed is not written to the new shop', async (t) => {
+    const { ShopContext, OrderCrawler, ShopeeUtils } = await setup(t);
+    const removeHook = ShopeeUtils.addRequestHook('response', () => {
+        removeHook();
+        ShopContext.select('2002');
+    });
+
+    await assert.rejects(OrderCrawler.crawlOrders(), error => error.crossShop === true);
+
+    assert.strictEqual(OrderCrawler.getCachedMap().size, 0);
+    ShopContext.select(null);
+    assert.strictEqual(OrderCrawler.getCachedMap().size, 0);
+    assert.strictEqual(OrderCrawler.hasCheckpoint(), true, '检查点保存在任务开始时的店铺下');
+});
+
+test('lock pins the shop while a task runs and reports page switches on unlock', async (t) => {
+    const { env, ShopContext } = await setup(t);
+    const changes = [];
+    ShopContext.refresh();
+    ShopContext.onChange(shopId => changes.push(shopId));
+
+    assert.strictEqual(ShopContext.lock(), '1001');
+    env.context.location.search = '?cnsc_shop_id=3003';
+
+    assert.strictEqual(ShopContext.getShopId(), '1001');
+    assert.deepStrictEqual(plain(ShopContext.getRequestParams()), { cnsc_shop_id: '1001' });
+    assert.throws(() => ShopContext.select('2002'), /任务运行中/);
+
+    ShopContext.unlock();
+    assert.strictEqual(ShopContext.getShopId(), '3003');
+    assert.deepStrictEqual(changes, ['3003']);
+    assert.match(ShopContext.buildFilename('shopee_returns', 'csv', 1), /^shopee_returns_3003_1\.csv$/);
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules, plain } = require('./harness');
+const { createMockServer } = require('./mockServer');
+
+test('matchReturnSns matches crawled SNs and keeps record fields', async (t) => {
+    const server = createMockServer();
+    const baseUrl = await server.start();
+    t.after(() => server.stop());
+
+    const { modules } = loadModules(['authManager', 'shopContext', 'orderCrawler', 'snMatcher'], {
+        baseUrl,
+        elements: {
+            'start-date': { value: '2024-03-01' },
+            'end-date': { value: '2024-03-05' }
+        }
+    });
+    const { OrderCrawler, SNMatcher } = modules;
+    OrderCrawler.config.authCaptureTimeout = 0;
+    await OrderCrawler.crawlOrders();
+
+    const sns = SNMatcher.parseUserInput('2403010AB1CDEF\n2403020ab4cdef\nNOTEXIST01\n2403010AB1CDEF');
+    const result = SNMatcher.matchReturnSns(sns, OrderCrawler.getCachedMap(), OrderCrawler.getCachedRecordMap());
+
+    assert.deepStrictEqual(plain(sns), ['2403010AB1CDEF', '2403020AB4CDEF', 'NOTEXIST01']);
+    assert.deepStrictEqual(plain(result.matched.map(item => [item.return_sn, item.return_id, item.refund_amount])), [
+        ['2403010AB1CDEF', 310001, 125000],
+        ['2403020AB4CDEF', 310004, 310000]
+    ]);
+    assert.deepStrictEqual(plain(result.unmatched), ['NOTEXIST01']);
+    assert.strictEqual(SNMatcher.getReturnId('2403020AB4CDEF'), 310004);
+});
+
+test('matchReturnSns prefixes imported columns that clash with crawled fields', () => {
+    const { modules } = loadModules(['authManager', 'shopContext', 'snMatcher']);
+    const { SNMatcher } = modules;
+
+    SNMatcher.setInputExtras(new Map([['ABC123', { status: 'diterima', 签收日期: '2024-03-06' }]]));
+    const result = SNMatcher.matchReturnSns(
+        ['ABC123'],
+        new Map([['ABC123', 1]]),
+        new Map([['ABC123', { return_sn: 'ABC123', return_id: 1, status: 2 }]])
+    );
+
+    assert.deepStrictEqual(plain(result.matched[0]), {
+        return_sn: 'ABC123',
+        return_id: 1,
+        status: 2,
+        文件_status: 'diterima',
+        签收日期: '2024-03-06'
+    });
+
+    // 粘贴新的列表后旧文件的附加列不再带入
+    assert.strictEqual(SNMatcher.clearInputExtras(), true);
+    const pasted = SNMatcher.matchReturnSns(['ABC123'], new Map([['ABC123', 1]]), null);
+    assert.deepStrictEqual(plain(pasted.matched[0]), { return_sn: 'ABC123', return_id: 1 });
+    assert.strictEqual(SNMatcher.clearInputExtras(), false);
+});
+
+test('extractSns reports duplicates and rejected tokens', () => {
+    const { modules } = loadModules(['authManager', 'shopContext', 'snMatcher']);
+
+    const report = modules.SNMatcher.extractSns('ABC123\nabc123\nABCDEFGHIJ1234567890X\nDEF456');
+
+    assert.deepStrictEqual(plain(report.sns), ['ABC123', 'DEF456']);
+    assert.deepStrictEqual(plain(report.duplicates), [{ sn: 'ABC123', line: 2, firstLine: 1 }]);
+    assert.deepStrictEqual(plain(report.rejected.map(item => item.token)), ['ABCDEFGHIJ1234567890X']);
+});
+
+test('extractSns drops table headers instead of reading them as SNs', () => {
+    const { modules } = loadModules(['authManager', 'shopContext', 'snMatcher']);
+
+    const report = modules.SNMatcher.extractSns('No\tReturn SN\tQty\n1\t2403010AB1CDEF\t1\n2\t2403010AB2CDEF\t3');
+
+    assert.strictEqual(report.mode, 'tsv');
+    assert.deepStrictEqual(plain(report.sns), ['2403010AB1CDEF', '2403010AB2CDEF']);
+    assert.strictEqual(report.rejected.length, 0);
+});
+
+test('extractSns treats short comma-separated chat messages as free text', () => {
+    const { modules } = loadModules(['authManager', 'shopContext', 'snMatcher']);
+
+    const report = modules.SNMatcher.extractSns('hi, pls check\nthanks, 2403010AB1CDEF');
+
+    assert.strictEqual(report.mode, 'text');
+    assert.deepStrictEqual(plain(report.sns), ['2403010AB1CDEF']);
+});
+
+test('extractSns breaks column ties by hit rate and prefers the SN column', () => {
+    const { modules } = loadModules(['authManager', 'shopContext', 'snMatcher']);
+
+    const report = modules.SNMatcher.extractSns([
+        'Tracking,Return SN',
+        'SPXID04010001A,2403010AB1CDEF',
+        'SPXID04010002A,2403010AB2CDEF',
+        'pending,'
+    ].join('\n'));
+    assert.strictEqual(report.mode, 'csv');
+    assert.deepStrictEqual(plain(report.sns), ['2403010AB1CDEF', '2403010AB2CDEF']);
+
+    // 命中数和命中率都相同时按表头选择
+    const tied = modules.SNMatcher.extractSns([
+        'Tracking\tReturn SN',
+        'SPXID04010001A\t2403010AB1CDEF',
+        'SPXID04010002A\t2403010AB2CDEF'
+    ].join('\n'));
+    assert.deepStrictEqual(plain(tied.sns), ['2403010AB1CDEF', '2403010AB2CDEF']);
+});
@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules, plain } = require('./harness');
+
+/**
+ * 加载工具模块并使用 mock 后端
+ * @param {Function} handler - mock 后端处理函数
+ * @returns {Object} ShopeeUtils
+ */
+function setup(handler) {
+    const { ShopeeUtils } = loadModules([]).modules;
+    ShopeeUtils.registerRequestBackend('mock', ShopeeUtils.createMockBackend(handler));
+    ShopeeUtils.setRequestBackend('mock');
+    return ShopeeUtils;
+}
+
+test('request serializes JSON bodies, appends params and parses JSON responses', async () => {
+    let received = null;
+    const ShopeeUtils = setup(request => {
+        received = request;
+        return { body: { error: 0, data: { ok: true } } };
+    });
+
+    const response = await ShopeeUtils.request({
+        method: 'post',
+        url: 'https://seller.shopee.co.id/api/test?a=1',
+        params: { return_id: 42, skipped: null },
+        body: { page: 1 }
+    });
+
+    assert.strictEqual(received.method, 'POST');
+    assert.strictEqual(received.url, 'https://seller.shopee.co.id/api/test?a=1&return_id=42');
+    assert.strictEqual(received.body, '{"page":1}');
+    assert.strictEqual(received.headers['Content-Type'], 'application/json');
+    assert.deepStrictEqual(plain(response.data), { error: 0, data: { ok: true } });
+});
+
+test('request rejects non-2xx statuses with retry hints', async () => {
+    const ShopeeUtils = setup(request => (
+        request.url.endsWith('/429')
+            ? { status: 429, headers: { 'Retry-After': '7' } }
+            : { status: request.url.endsWith('/503') ? 503 : 403 }
+    ));
+
+    await assert.rejects(ShopeeUtils.request({ url: 'https://x.test/429' }), error => (
+        error.status === 429 && error.throttled === true && error.retryable === true && error.retryAfter === 7000
+    ));
+    await assert.rejects(ShopeeUtils.request({ url: 'https://x.test/503' }), error => (
+        error.status === 503 && error.retryable === true
+    ));
+    await assert.rejects(ShopeeUtils.request({ url: 'https://x.test/403' }), error => (
+        error.status === 403 && error.retryable === false
+    ));
+
+    const response = await ShopeeUtils.request({
+        url: 'https://x.test/403',
+        responseType: 'text',
+        validateStatus: () => true
+    });
+    assert.strictEqual(response.status, 403);
+});
+
+test('request times out and can be cancelled with an AbortSignal', async () => {
+    const ShopeeUtils = setup(() => new Promise(() => {}));
+
+    await assert.rejects(ShopeeUtils.request({ url: 'https://x.test/slow', timeout: 20 }), error => (
+        error.timeout === true && error.retryable === true
+    ));
+
+    const controller = new AbortController();
+    const pending = ShopeeUtils.request({ url: 'https://x.test/slow', timeout: 0, signal: controller.signal });
+    controller.abort();
+    await assert.rejects(pending, error => error.aborted === true && error.retryable === false);
+
+    await assert.rejects(ShopeeUtils.request({ url: 'https://x.test/slow', signal: controller.signal }), error => (
+        error.name === 'AbortError'
+    ));
+});
+
+test('request hooks observe requests and responses', async () => {
+    const ShopeeUtils = setup(request => ({ status: request.url.endsWith('/fail') ? 500 : 200, body: {} }));
+    const seen = [];
+
+    const removeRequestHook = ShopeeUtils.addRequestHook('request', request => {
+        request.headers['X-Trace'] = 'abc';
+    });
+    const removeResponseHook = ShopeeUtils.addRequestHook('response', ({ request, status, error }) => {
+        seen.push([request.url, request.headers['X-Trace'], status, error ? error.message : null]);
+    });
+
+    await ShopeeUtils.request({ url: 'https://x.test/ok' });
+    await assert.rejects(ShopeeUtils.request({ url: 'https://x.test/fail' }));
+    removeRequestHook();
+    removeResponseHook();
+    await ShopeeUtils.request({ url: 'https://x.test/ok' });
+
+    assert.deepStrictEqual(seen, [
+        ['https://x.test/ok', 'abc', 200, null],
+        ['https://x.test/fail', 'abc', 500, 'HTTP 500']
+    ]);
+});
+
+test('sanitizeCSVValue escapes formula prefixes but keeps plain numbers', () => {
+    const { ShopeeUtils } = loadModules([]).modules;
+
+    ['=SUM(A1:A2)', '+62 812', '-cmd|calc', '@A1', '\t=1', '\r=1'].forEach(value => {
+        assert.strictEqual(ShopeeUtils.sanitizeCSVValue(value), `'${value}`);
+    });
+    ['-125000', '+3.5', '2403010AB1CDEF', 'Jl. Merdeka = 1', ''].forEach(value => {
+        assert.strictEqual(ShopeeUtils.sanitizeCSVValue(value), value);
+    });
+});
+
+test('generateCSV uses the union of headers across rows and escapes cells', () => {
+    const { ShopeeUtils } = loadModules([]).modules;
+
+    const csv = ShopeeUtils.generateCSV([
+        { return_sn: 'A1', amount: -5000 },
+        { return_sn: 'B2', note: '=HYPERLINK("x")' },
+        { return_sn: 'C3', amount: 100, extra: null }
+    ], { bom: false });
+
+    assert.strictEqual(csv, [
+        '"return_sn","amount","note","extra"',
+        '"A1","-5000","",""',
+        '"B2","","\'=HYPERLINK(""x"")",""',
+        '"C3","100","",""'
+    ].join('\n'));
+    assert.strictEqual(ShopeeUtils.generateCSV([]), '');
+});
+
+test('generateCSV honours the delimiter, BOM and sanitize options and saved settings', () => {
+    const { modules, storage } = loadModules([]);
+    const { ShopeeUtils } = modules;
+    const rows = [{ sn: 'A1', note: '@x' }];
+
+    assert.strictEqual(ShopeeUtils.generateCSV(rows), '\uFEFF"sn","note"\n"A1","\'@x"', '默认逗号分隔、带BOM并中和公式');
+    assert.strictEqual(
+        ShopeeUtils.generateCSV(rows, { delimiter: '\t', bom: false, sanitize: false }),
+        '"sn"\t"note"\n"A1"\t"@x"'
+    );
+
+    ShopeeUtils.setCSVOptions({ delimiter: ';', bom: false });
+    assert.ok(storage.has(ShopeeUtils.csvOptions.storageKey));
+    assert.strictEqual(ShopeeUtils.generateCSV(rows), '"sn";"note"\n"A1";"\'@x"', '使用保存的设置');
+    assert.strictEqual(ShopeeUtils.generateCSV(rows, { columns: ['note'] }), '"note"\n"\'@x"');
+    assert.throws(() => ShopeeUtils.setCSVOptions({ delimiter: '|' }), /不支持的分隔符/);
+    assert.strictEqual(ShopeeUtils.getCSVOptions().delimiter, ';');
+});
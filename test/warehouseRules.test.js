@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules } = require('./harness');
+
+/**
+ * 加载仓库规则模块（使用印尼站点的默认规则）
+ * @returns {Object} WarehouseRules
+ */
+function setup() {
+    return loadModules(['warehouseRules']).modules.WarehouseRules;
+}
+
+test('a postal code embedded in a longer number does not match', () => {
+    const WarehouseRules = setup();
+
+    [
+        'Budi (+62 812-3501-2199) 0812350121999, Jl. Pemuda, Jawa Tengah',
+        'Jl. Pandanaran No. 150121, Semarang',
+        'Ruko Blok 501210, Kota Semarang',
+        'Kode 5012 1, Semarang'
+    ].forEach(address => {
+        assert.strictEqual(WarehouseRules.identify(address), null, address);
+    });
+});
+
+test('a standalone postal code matches its warehouse', () => {
+    const WarehouseRules = setup();
+
+    assert.strictEqual(WarehouseRules.identify('Jl. Pemuda No. 12, Semarang Tengah, Kota Semarang, Jawa Tengah 50121').warehouse, 'BI SMR');
+    assert.strictEqual(WarehouseRules.identify('50121').warehouse, 'BI SMR');
+    assert.strictEqual(WarehouseRules.identify('Jl. Raya Darmo 5, Surabaya, ID-61254').warehouse, 'BI SBY');
+    assert.strictEqual(WarehouseRules.identify('Penjaringan, Jakarta Utara (14460) Telp 08123456789').warehouse, 'BI JKT');
+    assert.strictEqual(WarehouseRules.testAddress('Tidak ada kode pos').warehouse, '其他');
+});
+
+test('postal rules compare only the parsed postal code when a parse result is given', () => {
+    const WarehouseRules = setup();
+    const address = 'Jl. Pemuda No. 50121, Kota Surabaya, Jawa Timur 61254';
+
+    assert.strictEqual(WarehouseRules.identify(address, { kodePos: '61254' }).warehouse, 'BI SBY');
+    assert.strictEqual(WarehouseRules.identify(address, { kodePos: '99999' }), null);
+});